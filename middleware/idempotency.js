@@ -0,0 +1,121 @@
+/**
+ * Idempotency Middleware
+ *
+ * Lets clients retry a send safely by passing an Idempotency-Key header.
+ * The first response for a key is stored in Firestore and returned again for
+ * repeats within IDEMPOTENCY_WINDOW_MS (default 24 hours) instead of sending again.
+ * Keys are scoped to the authenticated user and the endpoint.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { getFirestore } = require('../services/firebase');
+
+const IDEMPOTENCY_COLLECTION = 'idempotency_keys';
+const IDEMPOTENCY_WINDOW_MS = parseInt(process.env.IDEMPOTENCY_WINDOW_MS) || 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+// A request that has not finished after this long is assumed to have died and can be retried
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Helper function to hash a value for use as a document ID or fingerprint
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Middleware to replay the stored response for a repeated Idempotency-Key
+ * Must run after verifyToken. Requests without the header are handled normally
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const db = getFirestore();
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const keyRef = db.collection(IDEMPOTENCY_COLLECTION).doc(sha256(`${req.user.uid}:${endpoint}:${key}`));
+  const requestHash = sha256(JSON.stringify(req.body || {}));
+  const now = Date.now();
+
+  let existing;
+  try {
+    // Claim the key, or read the record left by an earlier request with it
+    existing = await db.runTransaction(async (transaction) => {
+      const keyDoc = await transaction.get(keyRef);
+      if (keyDoc.exists) {
+        const record = keyDoc.data();
+        const stale = record.status === 'processing' && record.startedAt.toMillis() < now - PROCESSING_TIMEOUT_MS;
+        if (record.expiresAt.toMillis() > now && !stale) {
+          return record;
+        }
+      }
+      transaction.set(keyRef, {
+        userId: req.user.uid,
+        endpoint,
+        requestHash,
+        status: 'processing',
+        startedAt: admin.firestore.Timestamp.fromMillis(now),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        // Firestore TTL policies can use this field to delete expired keys
+        expiresAt: admin.firestore.Timestamp.fromMillis(now + IDEMPOTENCY_WINDOW_MS),
+      });
+      return null;
+    });
+  } catch (error) {
+    console.error('[IDEMPOTENCY ERROR] Error checking idempotency key:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (existing) {
+    if (existing.requestHash !== requestHash) {
+      console.log(`[IDEMPOTENCY] Key reused with a different request body by user ${req.user.uid}`);
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request'
+      });
+    }
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+    console.log(`[IDEMPOTENCY] Replaying stored response for ${endpoint} to user ${req.user.uid}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.body);
+  }
+
+  // Store the response once the route sends it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const record = res.statusCode >= 500 ?
+      // Server errors are not stored so the client can retry with the same key
+      keyRef.delete() :
+      keyRef.update({
+        status: 'completed',
+        statusCode: res.statusCode,
+        body: JSON.parse(JSON.stringify(body)),
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    record.catch(error => {
+      console.error('[IDEMPOTENCY ERROR] Error storing idempotent response:', error);
+    });
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -8,13 +8,87 @@ const {
   markAllNotificationsAsRead,
   cleanupReadNotifications
 } = services.notifications;
-const { getFirestore, getMessaging } = services.firebase;
+const { getFirestore } = services.firebase;
+const { getTransport } = services.transport;
+const {
+  queueUserNotification,
+  queueCommunityNotification,
+  scheduleUserNotification,
+  scheduleCommunityNotification,
+  parseSendAt,
+  listScheduledNotifications,
+  getScheduledNotification,
+  updateScheduledNotification,
+  cancelScheduledNotification
+} = services.queue;
+const { getRateLimitStats } = services.rateLimit;
+const { getSmsBudget, setSmsBudget } = services.sms;
+const {
+  RECEIPT_EVENTS,
+  getNotificationRecord,
+  isNotificationRecipient,
+  recordReceipt,
+  getReceipt,
+  getNotificationStats
+} = services.receipts;
+const { sendBadgeUpdate } = services.badges;
+const { applyNotificationAction } = services.actions;
 
 // Import auth middleware
 const { verifyToken, authorizeUser, requireAdmin } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
+// Helper function to update the badge on a user's other devices after notifications were read
+// token in the request body is the device that read them, which updates its own badge
+const updateOtherDeviceBadges = (userId, req) => {
+  sendBadgeUpdate(userId, { excludeToken: req.body && req.body.token }).catch(error => {
+    console.error(`[BADGE ERROR] Error sending badge update to user ${userId}:`, error);
+  });
+};
+
+// Respond with the report of a dry run
+// Nothing was delivered or stored, so the report is returned as is even when no device would get it
+const sendDryRunResponse = (res, result) => res.status(200).json({ ...result, dryRun: true });
+
+// Respond with the outcome of a queued send
+// A job that failed transiently and is waiting for a retry is reported as accepted (202)
+const sendQueuedResponse = (res, queued) => {
+  const { jobId, status, attempts, result } = queued;
+
+  if (status === 'pending') {
+    return res.status(202).json({
+      success: true,
+      queued: true,
+      jobId,
+      attempts,
+      message: 'Delivery failed temporarily and has been queued for retry'
+    });
+  }
+
+  if (result && result.success) {
+    return res.status(200).json({ ...result, jobId });
+  }
+
+  return res.status(400).json({ ...result, success: false, jobId });
+};
+
+// Validate an optional sendAt value, returns an error message or null
+const validateSendAt = (sendAt) => {
+  if (sendAt === undefined || sendAt === null) {
+    return null;
+  }
+  const sendAtMs = parseSendAt(sendAt);
+  if (!sendAtMs) {
+    return 'sendAt must be an ISO 8601 date or a timestamp in milliseconds';
+  }
+  if (sendAtMs <= Date.now()) {
+    return 'sendAt must be in the future';
+  }
+  return null;
+};
+
 // Secure routes with auth middleware
 // Get notifications for the authenticated user
 router.get('/user/:userId', verifyToken, authorizeUser, async (req, res) => {
@@ -75,6 +149,7 @@ router.post('/read/:statusId', verifyToken, async (req, res) => {
     const result = await markNotificationAsRead(statusId);
     
     if (result.success) {
+      updateOtherDeviceBadges(statusData.userId, req);
       return res.status(200).json(result);
     } else {
       return res.status(400).json(result);
@@ -98,6 +173,7 @@ router.post('/read-all/:userId', verifyToken, authorizeUser, async (req, res) =>
     const result = await markAllNotificationsAsRead(userId);
     
     if (result.success) {
+      updateOtherDeviceBadges(userId, req);
       return res.status(200).json(result);
     } else {
       return res.status(400).json(result);
@@ -111,10 +187,118 @@ router.post('/read-all/:userId', verifyToken, authorizeUser, async (req, res) =>
   }
 });
 
+// Acknowledge that a push reached the device or was opened (requires authentication)
+// Body: { notificationId, event: 'delivered' | 'opened', requestId, platform }
+router.post('/receipts', verifyToken, async (req, res) => {
+  try {
+    const { notificationId, event, requestId, platform } = req.body;
+    const authenticatedUserId = req.user.uid;
+
+    if (!notificationId || !event) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: notificationId, event'
+      });
+    }
+
+    if (!RECEIPT_EVENTS.includes(event)) {
+      return res.status(400).json({
+        success: false,
+        error: `event must be one of: ${RECEIPT_EVENTS.join(', ')}`
+      });
+    }
+
+    const record = await getNotificationRecord(notificationId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    // Only recipients can acknowledge a notification
+    if (!await isNotificationRecipient(authenticatedUserId, record)) {
+      console.log(`[SECURE] Authorization failed: User ${authenticatedUserId} attempted to acknowledge notification ${notificationId}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden - You can only acknowledge your own notifications'
+      });
+    }
+
+    const receipt = await recordReceipt(authenticatedUserId, record, event, {
+      requestId: typeof requestId === 'string' ? requestId : null,
+      platform: typeof platform === 'string' ? platform : null
+    });
+
+    return res.status(200).json({ success: true, event, ...receipt });
+  } catch (error) {
+    console.error('[RECEIPT ERROR] Error recording notification receipt:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Apply an action from a notification button (community admins of the target, or admins)
+// Body: { action: 'approve' | 'reject' | 'acknowledge', itemId, reportId, reason }
+router.post('/actions', verifyToken, async (req, res) => {
+  try {
+    const { action, itemId, reportId, reason } = req.body;
+
+    if (!action) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: action'
+      });
+    }
+
+    const result = await applyNotificationAction(req.user, action, itemId || reportId, { reason });
+
+    if (result.success) {
+      return res.status(200).json(result);
+    }
+
+    const status = { invalid: 400, forbidden: 403, not_found: 404, conflict: 409 }[result.code] || 400;
+    return res.status(status).json({
+      success: false,
+      error: result.error
+    });
+  } catch (error) {
+    console.error('[ACTION ERROR] Error applying notification action:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get delivery and open counts for a notification (admin only)
+router.get('/stats/:notificationId', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const stats = await getNotificationStats(req.params.notificationId);
+
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    return res.status(200).json({ success: true, stats });
+  } catch (error) {
+    console.error('[RECEIPT ERROR] Error getting notification stats:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Send a notification to a specific user (admin or internal only)
-router.post('/send', verifyToken, async (req, res) => {
+router.post('/send', verifyToken, idempotency, async (req, res) => {
   try {
-    const { userId, title, body, data } = req.body;
+    const { userId, title, body, data, sendAt, dryRun } = req.body;
     const authenticatedUserId = req.user.uid;
     
     // Validate required fields
@@ -124,6 +308,14 @@ router.post('/send', verifyToken, async (req, res) => {
         error: 'Missing required fields: userId, title, body'
       });
     }
+
+    const sendAtError = validateSendAt(sendAt);
+    if (sendAtError) {
+      return res.status(400).json({
+        success: false,
+        error: sendAtError
+      });
+    }
     
     // Only allow admins to send notifications to other users
     if (userId !== authenticatedUserId && !req.user.isAdmin) {
@@ -134,14 +326,25 @@ router.post('/send', verifyToken, async (req, res) => {
       });
     }
 
-    // Send notification
-    const result = await sendNotificationToUser(userId, title, body, data || {});
+    // Validate against FCM without delivering, queueing or scheduling anything
+    if (dryRun === true) {
+      const result = await sendNotificationToUser(userId, title, body, data || {}, { dryRun: true });
+      return sendDryRunResponse(res, result);
+    }
 
-    if (result.success) {
-      return res.status(200).json(result);
-    } else {
-      return res.status(400).json(result);
+    // Store the notification for the scheduler to send later
+    if (sendAt) {
+      const scheduled = await scheduleUserNotification(userId, title, body, data || {}, parseSendAt(sendAt), {
+        source: 'api',
+        createdBy: authenticatedUserId
+      });
+      return res.status(201).json({ success: true, scheduled: true, ...scheduled });
     }
+
+    // Send notification through the queue so transient failures are retried
+    const queued = await queueUserNotification(userId, title, body, data || {}, { source: 'api' });
+
+    return sendQueuedResponse(res, queued);
   } catch (error) {
     console.error('Error sending notification:', error);
     return res.status(500).json({
@@ -152,9 +355,9 @@ router.post('/send', verifyToken, async (req, res) => {
 });
 
 // Send a notification to all users in a community (admin only)
-router.post('/send-community', verifyToken, requireAdmin, async (req, res) => {
+router.post('/send-community', verifyToken, requireAdmin, idempotency, async (req, res) => {
   try {
-    const { communityId, title, body, data, excludeUserId } = req.body;
+    const { communityId, title, body, data, excludeUserId, sendAt, useTopic, dryRun } = req.body;
 
     // Validate required fields
     if (!communityId || !title || !body) {
@@ -164,20 +367,48 @@ router.post('/send-community', verifyToken, requireAdmin, async (req, res) => {
       });
     }
 
-    // Send notification
-    const result = await sendNotificationToCommunity(
+    const sendAtError = validateSendAt(sendAt);
+    if (sendAtError) {
+      return res.status(400).json({
+        success: false,
+        error: sendAtError
+      });
+    }
+
+    // Validate against FCM without delivering, queueing or scheduling anything
+    if (dryRun === true) {
+      const result = await sendNotificationToCommunity(communityId, title, body, data || {}, excludeUserId || null, {
+        useTopic: useTopic === true,
+        dryRun: true
+      });
+      return sendDryRunResponse(res, result);
+    }
+
+    // Store the notification for the scheduler to send later
+    if (sendAt) {
+      const scheduled = await scheduleCommunityNotification(
+        communityId,
+        title,
+        body,
+        data || {},
+        excludeUserId,
+        parseSendAt(sendAt),
+        { source: 'api', createdBy: req.user.uid, useTopic: useTopic === true }
+      );
+      return res.status(201).json({ success: true, scheduled: true, ...scheduled });
+    }
+
+    // Send notification through the queue so transient failures are retried
+    const queued = await queueCommunityNotification(
       communityId,
       title,
       body,
       data || {},
-      excludeUserId
+      excludeUserId,
+      { source: 'api', useTopic: useTopic === true }
     );
 
-    if (result.success) {
-      return res.status(200).json(result);
-    } else {
-      return res.status(400).json(result);
-    }
+    return sendQueuedResponse(res, queued);
   } catch (error) {
     console.error('Error sending community notification:', error);
     return res.status(500).json({
@@ -187,10 +418,131 @@ router.post('/send-community', verifyToken, requireAdmin, async (req, res) => {
   }
 });
 
+// List pending scheduled notifications (requires authentication)
+// Admins see every scheduled notification, other users only the ones they scheduled
+router.get('/scheduled', verifyToken, async (req, res) => {
+  try {
+    const createdBy = req.user.isAdmin ? (req.query.createdBy || null) : req.user.uid;
+    const scheduled = await listScheduledNotifications(createdBy);
+
+    return res.status(200).json({
+      success: true,
+      count: scheduled.length,
+      scheduled
+    });
+  } catch (error) {
+    console.error('Error listing scheduled notifications:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Helper function to load a scheduled notification the requester may change
+// Sends the error response and returns null when the request can't continue
+const loadOwnScheduledNotification = async (req, res) => {
+  const scheduled = await getScheduledNotification(req.params.jobId);
+
+  if (!scheduled) {
+    res.status(404).json({
+      success: false,
+      error: 'Scheduled notification not found'
+    });
+    return null;
+  }
+
+  if (scheduled.createdBy !== req.user.uid && !req.user.isAdmin) {
+    console.log(`[SECURE] Authorization failed: User ${req.user.uid} attempted to change scheduled notification ${req.params.jobId}`);
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden - You can only change notifications you scheduled'
+    });
+    return null;
+  }
+
+  if (scheduled.status !== 'scheduled') {
+    res.status(409).json({
+      success: false,
+      error: `Scheduled notification is already ${scheduled.status}`
+    });
+    return null;
+  }
+
+  return scheduled;
+};
+
+// Edit a pending scheduled notification (requires authentication)
+// Body: any of { title, body, data, sendAt, excludeUserId }
+router.patch('/scheduled/:jobId', verifyToken, async (req, res) => {
+  try {
+    const { title, body, data, sendAt, excludeUserId } = req.body;
+
+    const sendAtError = validateSendAt(sendAt);
+    if (sendAtError) {
+      return res.status(400).json({
+        success: false,
+        error: sendAtError
+      });
+    }
+
+    if (title === '' || body === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'title and body cannot be empty'
+      });
+    }
+
+    const scheduled = await loadOwnScheduledNotification(req, res);
+    if (!scheduled) return;
+
+    const updated = await updateScheduledNotification(req.params.jobId, {
+      title,
+      body,
+      data,
+      excludeUserId,
+      sendAt: parseSendAt(sendAt)
+    });
+
+    return res.status(200).json({ success: true, scheduled: updated });
+  } catch (error) {
+    console.error('Error updating scheduled notification:', error);
+    // The scheduler may have claimed the job between the check and the update
+    const status = error.message.includes('already sent') ? 409 : 500;
+    return res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Cancel a pending scheduled notification (requires authentication)
+router.delete('/scheduled/:jobId', verifyToken, async (req, res) => {
+  try {
+    const scheduled = await loadOwnScheduledNotification(req, res);
+    if (!scheduled) return;
+
+    await cancelScheduledNotification(req.params.jobId, req.user.uid);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scheduled notification cancelled',
+      jobId: req.params.jobId
+    });
+  } catch (error) {
+    console.error('Error cancelling scheduled notification:', error);
+    const status = error.message.includes('already sent') ? 409 : 500;
+    return res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Send a test notification (protected by authentication)
 router.post('/test', verifyToken, async (req, res) => {
   try {
-    const { userId } = req.body;
+    const { userId, dryRun } = req.body;
     const authenticatedUserId = req.user.uid;
 
     // Validate required fields
@@ -214,9 +566,14 @@ router.post('/test', verifyToken, async (req, res) => {
       userId,
       'Test Notification',
       'This is a test notification from the PULSE notification server',
-      { type: 'test', timestamp: new Date().toISOString() }
+      { type: 'test', timestamp: new Date().toISOString() },
+      { dryRun: dryRun === true }
     );
 
+    if (dryRun === true) {
+      return sendDryRunResponse(res, result);
+    }
+
     if (result.success) {
       return res.status(200).json(result);
     } else {
@@ -247,7 +604,6 @@ router.post('/diagnose', verifyToken, requireAdmin, async (req, res) => {
     console.log(`[DIAGNOSTIC] Starting notification diagnostic for user ${userId}`);
     
     const db = getFirestore();
-    const messaging = getMessaging();
     
     // Step 1: Check if user exists
     const userDoc = await db.collection('users').doc(userId).get();
@@ -304,9 +660,21 @@ router.post('/diagnose', verifyToken, requireAdmin, async (req, res) => {
         }
       }
       
+      let receipt = null;
+      if (statusData.notificationId) {
+        try {
+          receipt = await getReceipt(statusData.notificationId, userId);
+        } catch (e) {
+          console.error(`[DIAGNOSTIC] Error fetching receipt: ${e.message}`);
+        }
+      }
+
       recentNotifications.push({
         statusId: doc.id,
         read: statusData.read || false,
+        notificationId: statusData.notificationId || null,
+        // Whether the device acknowledged the push, null if it never did
+        receipt,
         createdAt: statusData.createdAt ? statusData.createdAt.toDate().toISOString() : 'unknown',
         notification: notificationData.notFound ? { notFound: true } : {
           title: notificationData.title,
@@ -325,10 +693,12 @@ router.post('/diagnose', verifyToken, requireAdmin, async (req, res) => {
       userExists,
       tokens: tokensInfo,
       recentNotifications,
+      rateLimits: getRateLimitStats(userId),
       serverTime: new Date().toISOString(),
       firebase: {
         projectId: process.env.FIREBASE_PROJECT_ID || 'unknown'
-      }
+      },
+      messagingTransport: getTransport().name
     };
     
     return res.status(200).json({
@@ -344,6 +714,44 @@ router.post('/diagnose', verifyToken, requireAdmin, async (req, res) => {
   }
 });
 
+// Get a community's SMS budget and usage this month (admin only)
+router.get('/sms-budget/:communityId', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const budget = await getSmsBudget(req.params.communityId);
+    return res.status(200).json({ success: true, budget });
+  } catch (error) {
+    console.error('[SMS ERROR] Error getting SMS budget:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Set a community's monthly SMS budget (admin only)
+// Body: { monthlyLimit }
+router.put('/sms-budget/:communityId', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { monthlyLimit } = req.body;
+
+    if (!Number.isInteger(monthlyLimit) || monthlyLimit < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'monthlyLimit must be a non-negative integer'
+      });
+    }
+
+    const budget = await setSmsBudget(req.params.communityId, monthlyLimit, req.user.uid);
+    return res.status(200).json({ success: true, budget });
+  } catch (error) {
+    console.error('[SMS ERROR] Error setting SMS budget:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Cleanup read notifications to save storage (admin only)
 router.post('/cleanup', verifyToken, requireAdmin, async (_, res) => {
   try {
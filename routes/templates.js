@@ -0,0 +1,135 @@
+const express = require('express');
+const services = require('../services');
+const {
+  listTemplates,
+  getTemplateVersions,
+  createTemplateVersion,
+  activateTemplateVersion,
+  previewTemplate,
+  validateTemplateLocales
+} = services.templates;
+
+// Import auth middleware
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Helper function to map registry errors to a response
+const sendTemplateError = (res, error) => {
+  const notFound = error.message.startsWith('Unknown notification template') || error.message.includes('does not exist');
+  console.error('[TEMPLATE ERROR]', error.message);
+  return res.status(notFound ? 404 : 500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+// List every template with its active version (admin only)
+router.get('/', verifyToken, requireAdmin, async (_, res) => {
+  try {
+    const templates = await listTemplates();
+    return res.status(200).json({ success: true, templates });
+  } catch (error) {
+    return sendTemplateError(res, error);
+  }
+});
+
+// Get every version of a template (admin only)
+router.get('/:key', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const template = await getTemplateVersions(req.params.key);
+    return res.status(200).json({ success: true, ...template });
+  } catch (error) {
+    return sendTemplateError(res, error);
+  }
+});
+
+// Create a new version of a template (admin only)
+// Body: { locales: { en: { title, body }, fil: { title, body } }, activate }
+router.post('/:key/versions', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { locales, activate } = req.body;
+
+    // Check the key first so an unknown template is reported as such
+    await getTemplateVersions(key);
+
+    const localesError = validateTemplateLocales(key, locales);
+    if (localesError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid locales: ${localesError}`
+      });
+    }
+
+    const version = await createTemplateVersion(key, locales, req.user.uid, activate === true);
+
+    return res.status(201).json({
+      success: true,
+      key,
+      version,
+      active: activate === true
+    });
+  } catch (error) {
+    return sendTemplateError(res, error);
+  }
+});
+
+// Make a version the one used for sending (admin only)
+// Body: { version } - version 1 restores the built-in template
+router.post('/:key/activate', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { key } = req.params;
+    const version = parseInt(req.body.version);
+
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: version'
+      });
+    }
+
+    await getTemplateVersions(key);
+    await activateTemplateVersion(key, version);
+
+    return res.status(200).json({
+      success: true,
+      key,
+      activeVersion: version
+    });
+  } catch (error) {
+    return sendTemplateError(res, error);
+  }
+});
+
+// Render a template against sample event data without sending it (admin only)
+// Body: { params, locale, version, locales } - all optional, see previewTemplate
+router.post('/:key/preview', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { params, locale, version, locales } = req.body || {};
+
+    if (locales) {
+      const localesError = validateTemplateLocales(key, locales);
+      if (localesError) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid locales: ${localesError}`
+        });
+      }
+    }
+
+    const preview = await previewTemplate(key, {
+      params,
+      locale,
+      locales,
+      version: version ? parseInt(version) : undefined
+    });
+
+    return res.status(200).json({ success: true, ...preview });
+  } catch (error) {
+    return sendTemplateError(res, error);
+  }
+});
+
+module.exports = router;
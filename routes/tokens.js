@@ -2,21 +2,64 @@ const express = require('express');
 const admin = require('firebase-admin');
 const services = require('../services');
 const { getFirestore } = services.firebase;
+const { validateNotificationPreferences } = services.preferences;
+const { validateQuietHours, isValidTimezone } = services.quietHours;
+const { validateDigestPreferences } = services.digest;
+const { validateEmailPreferences } = services.email;
+const { validateSmsPreferences } = services.sms;
+const { normalizeLocale } = services.templates;
+const {
+  getTokenValues,
+  subscribeRegisteredToken,
+  unsubscribeFromCommunityTopic,
+  reconcileCommunityTopics
+} = services.topics;
 
 // Import auth middleware
-const { verifyToken, authorizeUser } = require('../middleware/auth');
+const { verifyToken, authorizeUser, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Platforms a token can be registered for ('web' is the browser admin panel)
+const SUPPORTED_PLATFORMS = ['android', 'ios', 'web'];
+
+// Helper function to subscribe a registered token to the user's community topic
+// Topic membership is only an optimization for announcements, so failures are logged
+// and left to the reconciliation job
+const subscribeTokenToCommunity = async (userId, token, userTokens) => {
+  try {
+    const communityId = await subscribeRegisteredToken(userId, token, userTokens);
+    if (communityId) {
+      console.log(`[TOKEN DEBUG] Subscribed token to community topic for ${communityId}`);
+    }
+  } catch (error) {
+    console.error(`[TOKEN ERROR] Error subscribing token to community topic: ${error.message}`);
+  }
+};
+
+// Helper function to unsubscribe tokens from the user's community topic
+const unsubscribeTokensFromCommunity = async (userTokens, tokens) => {
+  if (!userTokens.topicCommunityId || tokens.length === 0) {
+    return;
+  }
+  try {
+    await unsubscribeFromCommunityTopic(tokens, userTokens.topicCommunityId);
+    console.log(`[TOKEN DEBUG] Unsubscribed ${tokens.length} tokens from community topic for ${userTokens.topicCommunityId}`);
+  } catch (error) {
+    console.error(`[TOKEN ERROR] Error unsubscribing tokens from community topic: ${error.message}`);
+  }
+};
+
 // Register a new FCM token (requires authentication)
 router.post('/register', verifyToken, async (req, res) => {
   try {
-    const { userId, token, platform } = req.body;
+    const { userId, token, platform, locale } = req.body;
     const authenticatedUserId = req.user.uid;
     
     console.log(`[TOKEN DEBUG] Received token registration request:`);
     console.log(`[TOKEN DEBUG] User ID: ${userId}`);
     console.log(`[TOKEN DEBUG] Platform: ${platform}`);
+    console.log(`[TOKEN DEBUG] Locale: ${locale || 'not provided'}`);
     console.log(`[TOKEN DEBUG] Token (truncated): ${token ? token.substring(0, 15) + '...' : 'undefined'}`);
     console.log(`[TOKEN DEBUG] Authenticated User ID: ${authenticatedUserId}`);
 
@@ -28,6 +71,14 @@ router.post('/register', verifyToken, async (req, res) => {
         error: 'Missing required fields: userId, token, platform'
       });
     }
+
+    if (!SUPPORTED_PLATFORMS.includes(platform)) {
+      console.error(`[TOKEN ERROR] Unsupported platform: ${platform}`);
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported platform: ${platform}. Must be one of: ${SUPPORTED_PLATFORMS.join(', ')}`
+      });
+    }
     
     // Security check: Ensure the authenticated user can only register tokens for themselves
     if (userId !== authenticatedUserId && !req.user.isAdmin) {
@@ -51,6 +102,13 @@ router.post('/register', verifyToken, async (req, res) => {
       lastActive: now,
     };
 
+    // Notifications are rendered in the device's language when we have strings for it
+    const supportedLocale = normalizeLocale(locale);
+    if (locale && !supportedLocale) {
+      console.log(`[TOKEN DEBUG] Unsupported locale ${locale}, keeping the existing or default locale`);
+    }
+    const localeUpdate = supportedLocale ? { locale: supportedLocale } : {};
+
     // IMPROVED: Check if user was in the missing tokens list and remove them
     try {
       const missingTokenDoc = await db.collection('missing_tokens').doc(userId).get();
@@ -141,10 +199,12 @@ router.post('/register', verifyToken, async (req, res) => {
         // Update document
         await db.collection('user_tokens').doc(userId).update({
           tokens: refreshedTokens,
+          ...localeUpdate,
           lastActive: admin.firestore.FieldValue.serverTimestamp(),
         });
         
         console.log(`[TOKEN DEBUG] Token updated successfully for user ${userId}`);
+        await subscribeTokenToCommunity(userId, token, userData);
 
         return res.status(200).json({
           success: true,
@@ -188,10 +248,12 @@ router.post('/register', verifyToken, async (req, res) => {
         // Update document
         await db.collection('user_tokens').doc(userId).update({
           tokens: updatedTokens,
+          ...localeUpdate,
           lastActive: admin.firestore.FieldValue.serverTimestamp(),
         });
         
         console.log(`[TOKEN DEBUG] New token added successfully for user ${userId}, total tokens: ${updatedTokens.length}`);
+        await subscribeTokenToCommunity(userId, token, userData);
 
         return res.status(200).json({
           success: true,
@@ -200,11 +262,15 @@ router.post('/register', verifyToken, async (req, res) => {
       }
     } else {
       console.log(`[TOKEN DEBUG] No existing token document found, creating new document for user ${userId}`);
+
+      // Keep preferences the user set before registering a device
+      const userDoc = await db.collection('users').doc(userId).get();
+      const profilePreferences = userDoc.exists ? userDoc.data().notificationPreferences : null;
       
       // Create new token document
       await db.collection('user_tokens').doc(userId).set({
         tokens: [tokenData],
-        notificationPreferences: {
+        notificationPreferences: profilePreferences || {
           communityNotices: true,
           socialInteractions: true,
           marketplace: true,
@@ -212,12 +278,14 @@ router.post('/register', verifyToken, async (req, res) => {
           reports: true,
           volunteer: true,
         },
+        ...localeUpdate,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         lastActive: admin.firestore.FieldValue.serverTimestamp(),
       });
       
       console.log(`[TOKEN DEBUG] New token document created successfully for user ${userId}`);
       console.log(`[TOKEN DEBUG] Default notification preferences enabled for all notification types`);
+      await subscribeTokenToCommunity(userId, token, {});
 
       return res.status(201).json({
         success: true,
@@ -261,16 +329,99 @@ router.post('/preferences', verifyToken, async (req, res) => {
       });
     }
 
+    // Validate type, subtype and community settings
+    const preferencesError = validateNotificationPreferences(preferences);
+    if (preferencesError) {
+      console.error(`[TOKEN ERROR] Invalid notification preferences for user ${userId}: ${preferencesError}`);
+      return res.status(400).json({
+        success: false,
+        error: `Invalid preferences: ${preferencesError}`
+      });
+    }
+
+    // Validate the preferred timezone if provided
+    if (preferences.timezone !== undefined && (typeof preferences.timezone !== 'string' || !isValidTimezone(preferences.timezone))) {
+      console.error(`[TOKEN ERROR] Invalid timezone for user ${userId}: ${preferences.timezone}`);
+      return res.status(400).json({
+        success: false,
+        error: `Unknown timezone: ${preferences.timezone}`
+      });
+    }
+
+    // Validate quiet hours settings if provided
+    if (preferences.quietHours !== undefined) {
+      const quietHoursError = validateQuietHours(preferences.quietHours);
+      if (quietHoursError) {
+        console.error(`[TOKEN ERROR] Invalid quiet hours for user ${userId}: ${quietHoursError}`);
+        return res.status(400).json({
+          success: false,
+          error: `Invalid quietHours: ${quietHoursError}`
+        });
+      }
+    }
+
+    // Validate digest settings if provided
+    if (preferences.digest !== undefined) {
+      const digestError = validateDigestPreferences(preferences.digest);
+      if (digestError) {
+        console.error(`[TOKEN ERROR] Invalid digest settings for user ${userId}: ${digestError}`);
+        return res.status(400).json({
+          success: false,
+          error: `Invalid digest: ${digestError}`
+        });
+      }
+    }
+
+    // Validate email fallback settings if provided
+    if (preferences.emailFallback !== undefined) {
+      const emailError = validateEmailPreferences(preferences.emailFallback);
+      if (emailError) {
+        console.error(`[TOKEN ERROR] Invalid email fallback settings for user ${userId}: ${emailError}`);
+        return res.status(400).json({
+          success: false,
+          error: `Invalid emailFallback: ${emailError}`
+        });
+      }
+    }
+
+    // Validate SMS fallback settings if provided
+    if (preferences.smsFallback !== undefined) {
+      const smsError = validateSmsPreferences(preferences.smsFallback);
+      if (smsError) {
+        console.error(`[TOKEN ERROR] Invalid SMS fallback settings for user ${userId}: ${smsError}`);
+        return res.status(400).json({
+          success: false,
+          error: `Invalid smsFallback: ${smsError}`
+        });
+      }
+    }
+
     const db = getFirestore();
 
     // Get user token document
     const userTokenDoc = await db.collection('user_tokens').doc(userId).get();
 
     if (!userTokenDoc.exists) {
-      console.error(`[TOKEN ERROR] User token document not found for user ${userId}`);
-      return res.status(404).json({
-        success: false,
-        error: 'User token document not found'
+      // Users without the app (e.g. SMS-only residents) keep their preferences on the users
+      // document; they move to user_tokens when a device is registered
+      const userDoc = await db.collection('users').doc(userId).get();
+      if (!userDoc.exists) {
+        console.error(`[TOKEN ERROR] No token or user document found for user ${userId}`);
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      await userDoc.ref.update({
+        notificationPreferences: preferences,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      console.log(`[TOKEN DEBUG] Notification preferences stored on users document for user ${userId} (no registered device)`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Notification preferences updated successfully'
       });
     }
 
@@ -319,10 +470,19 @@ router.get('/preferences/:userId', verifyToken, async (req, res) => {
     const userTokenDoc = await db.collection('user_tokens').doc(userId).get();
     
     if (!userTokenDoc.exists) {
-      console.error(`[TOKEN ERROR] User token document not found for user ${userId}`);
-      return res.status(404).json({
-        success: false,
-        error: 'User token document not found'
+      // Preferences of users without a registered device are kept on the users document
+      const userDoc = await db.collection('users').doc(userId).get();
+      if (!userDoc.exists) {
+        console.error(`[TOKEN ERROR] No token or user document found for user ${userId}`);
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        preferences: userDoc.data().notificationPreferences || {}
       });
     }
     
@@ -406,6 +566,7 @@ router.delete('/token', verifyToken, async (req, res) => {
     });
     
     console.log(`[TOKEN DEBUG] Token deleted successfully for user ${userId}, remaining tokens: ${updatedTokens.length}`);
+    await unsubscribeTokensFromCommunity(userData, [token]);
     
     return res.status(200).json({
       success: true,
@@ -481,6 +642,8 @@ router.post('/logout', verifyToken, async (req, res) => {
     });
     
     console.log(`[TOKEN DEBUG] All tokens marked as inactive for user ${userId} during logout. Token count: ${updatedTokens.length}`);
+    // Logged out devices should not receive community announcements either
+    await unsubscribeTokensFromCommunity(userData, getTokenValues(tokens));
     
     return res.status(200).json({
       success: true,
@@ -496,4 +659,19 @@ router.post('/logout', verifyToken, async (req, res) => {
   }
 });
 
+// Re-sync every token's community topic subscription (admin only)
+// Also runs daily in the background
+router.post('/reconcile-topics', verifyToken, requireAdmin, async (_, res) => {
+  try {
+    const summary = await reconcileCommunityTopics();
+    return res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    console.error('[TOKEN ERROR] Error reconciling community topics:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -7,10 +7,17 @@ const admin = require('firebase-admin');
 const services = require('./services');
 const { initializeApp } = services.firebase;
 const { startAllMonitoring } = services.monitoring;
+const { startQueueWorker } = services.queue;
+const { startDeferredDeliveryWorker } = services.quietHours;
+const { startDigestWorker } = services.digest;
+const { startTemplateSync } = services.templates;
+const { startTopicReconciliation } = services.topics;
+const { startRateLimitCleanup } = services.rateLimit;
 
 // Import routes
 const tokenRoutes = require('./routes/tokens');
 const notificationRoutes = require('./routes/notifications');
+const templateRoutes = require('./routes/templates');
 
 // Initialize Firebase Admin SDK
 initializeApp();
@@ -69,6 +76,13 @@ app.get('/', (req, res) => {
           method: 'DELETE',
           description: 'Delete an FCM token',
           auth: true
+        },
+        reconcileTopics: {
+          path: '/api/tokens/reconcile-topics',
+          method: 'POST',
+          description: 'Re-sync community topic subscriptions for all tokens',
+          auth: true,
+          adminOnly: true
         }
       },
       notifications: {
@@ -85,6 +99,24 @@ app.get('/', (req, res) => {
           auth: true,
           adminOnly: true
         },
+        listScheduled: {
+          path: '/api/notifications/scheduled',
+          method: 'GET',
+          description: 'List pending scheduled notifications',
+          auth: true
+        },
+        editScheduled: {
+          path: '/api/notifications/scheduled/:jobId',
+          method: 'PATCH',
+          description: 'Edit a pending scheduled notification',
+          auth: true
+        },
+        cancelScheduled: {
+          path: '/api/notifications/scheduled/:jobId',
+          method: 'DELETE',
+          description: 'Cancel a pending scheduled notification',
+          auth: true
+        },
         test: {
           path: '/api/notifications/test',
           method: 'POST',
@@ -100,14 +132,84 @@ app.get('/', (req, res) => {
         markAsRead: {
           path: '/api/notifications/read/:statusId',
           method: 'POST',
-          description: 'Mark a notification as read',
+          description: 'Mark a notification as read and update the badge on other devices',
           auth: true
         },
         markAllAsRead: {
           path: '/api/notifications/read-all/:userId',
           method: 'POST',
-          description: 'Mark all notifications as read for a user',
+          description: 'Mark all notifications as read for a user and update the badge on other devices',
+          auth: true
+        },
+        receipts: {
+          path: '/api/notifications/receipts',
+          method: 'POST',
+          description: 'Acknowledge that a notification was delivered or opened',
+          auth: true
+        },
+        actions: {
+          path: '/api/notifications/actions',
+          method: 'POST',
+          description: 'Approve or reject a pending item, or acknowledge a report, from a notification button',
           auth: true
+        },
+        stats: {
+          path: '/api/notifications/stats/:notificationId',
+          method: 'GET',
+          description: 'Get delivery and open counts for a notification',
+          auth: true,
+          adminOnly: true
+        },
+        getSmsBudget: {
+          path: '/api/notifications/sms-budget/:communityId',
+          method: 'GET',
+          description: "Get a community's SMS budget and usage this month",
+          auth: true,
+          adminOnly: true
+        },
+        setSmsBudget: {
+          path: '/api/notifications/sms-budget/:communityId',
+          method: 'PUT',
+          description: "Set a community's monthly SMS budget",
+          auth: true,
+          adminOnly: true
+        }
+      },
+      templates: {
+        list: {
+          path: '/api/templates',
+          method: 'GET',
+          description: 'List notification templates and their active versions',
+          auth: true,
+          adminOnly: true
+        },
+        versions: {
+          path: '/api/templates/:key',
+          method: 'GET',
+          description: 'Get every version of a notification template',
+          auth: true,
+          adminOnly: true
+        },
+        createVersion: {
+          path: '/api/templates/:key/versions',
+          method: 'POST',
+          description: 'Create a new version of a notification template',
+          auth: true,
+          adminOnly: true
+        },
+        activate: {
+          path: '/api/templates/:key/activate',
+          method: 'POST',
+          description: 'Choose the template version used for sending',
+          auth: true,
+          adminOnly: true
+        },
+        preview: {
+          path: '/api/templates/:key/preview',
+          method: 'POST',
+          description: 'Render a template against sample event data without sending',
+          auth: true,
+          adminOnly: true
         }
       }
     },
@@ -121,6 +223,7 @@ app.get('/', (req, res) => {
 // Routes
 app.use('/api/tokens', tokenRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -152,9 +255,27 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`API documentation available at http://localhost:${PORT}/`);
 
+  // Load notification template versions edited through the API
+  startTemplateSync();
+
   // Start monitoring for events that trigger notifications
   startAllMonitoring();
 
+  // Start delivering queued notifications (retries and jobs left over from a restart)
+  startQueueWorker();
+
+  // Deliver notifications held back during users' quiet hours
+  startDeferredDeliveryWorker();
+
+  // Send hourly and daily notification digests
+  startDigestWorker();
+
+  // Keep community topic subscriptions in line with users' communities
+  startTopicReconciliation();
+
+  // Drop idle push rate limit buckets
+  startRateLimitCleanup();
+
   // Run initial cleanup of old read notifications (older than 30 days)
   const { cleanupReadNotifications } = services.notifications;
   cleanupReadNotifications(30)
@@ -0,0 +1,110 @@
+const admin = require('firebase-admin');
+const { getFirestore } = require('./firebase');
+
+// Actionable notifications
+// Admin notifications about a pending marketplace item or a new report carry an action
+// category, so the app can show buttons (Approve/Reject, Acknowledge) on the notification.
+// iOS gets it as aps.category, Android as data.actionCategory and data.actions, and web push
+// as notification actions. Tapping a button calls POST /api/notifications/actions, which
+// applies the action here without opening the app.
+
+// Actions and the status change each one applies; only targets still in status `from` can be acted on
+const ACTIONS = {
+  approve: { label: 'Approve', collection: 'market_items', idField: 'itemId', from: 'pending', status: 'approved' },
+  reject: { label: 'Reject', collection: 'market_items', idField: 'itemId', from: 'pending', status: 'rejected' },
+  acknowledge: { label: 'Acknowledge', collection: 'reports', idField: 'reportId', from: 'pending', status: 'in_progress' },
+};
+
+// Categories registered in the app, keyed by the data.action of the notification that offers them
+const ACTION_CATEGORIES = {
+  review_item: { category: 'MARKET_ITEM_REVIEW', actions: ['approve', 'reject'] },
+  review_report: { category: 'REPORT_REVIEW', actions: ['acknowledge'] },
+};
+
+// Get the action category of a notification, or null if it has no actions
+const getActionCategory = (data = {}) => ACTION_CATEGORIES[data.action] || null;
+
+// Get the buttons of a notification as [{ action, title }]
+const getNotificationActions = (data = {}) => {
+  const category = getActionCategory(data);
+  return category ? category.actions.map(action => ({ action, title: ACTIONS[action].label })) : [];
+};
+
+// Check whether a user may act on a target in a community
+// Admins with the admin claim may act anywhere, community admins only in their own community
+const isCommunityAdmin = async (user, communityId) => {
+  if (user.isAdmin) {
+    return true;
+  }
+  const db = getFirestore();
+  const userDoc = await db.collection('users').doc(user.uid).get();
+  if (!userDoc.exists) {
+    return false;
+  }
+  const userData = userDoc.data();
+  // An admin without a community must not match a target that has none
+  return (userData.isAdmin === true || userData.role === 'admin') &&
+    Boolean(communityId) && userData.communityId === communityId;
+};
+
+// Apply a notification action for the authenticated user
+// user is req.user, targetId the itemId or reportId from the notification's data
+// Returns { success, action, targetId, status } or { success: false, code, error } where code
+// is 'invalid', 'not_found', 'forbidden' or 'conflict'
+const applyNotificationAction = async (user, action, targetId, { reason } = {}) => {
+  const definition = ACTIONS[action];
+  if (!definition) {
+    return { success: false, code: 'invalid', error: `action must be one of: ${Object.keys(ACTIONS).join(', ')}` };
+  }
+  if (!targetId) {
+    return { success: false, code: 'invalid', error: `Missing required field: ${definition.idField}` };
+  }
+
+  const db = getFirestore();
+  const targetRef = db.collection(definition.collection).doc(targetId);
+
+  // Check the community before changing anything
+  const targetDoc = await targetRef.get();
+  if (!targetDoc.exists) {
+    return { success: false, code: 'not_found', error: `${definition.idField} ${targetId} not found` };
+  }
+  if (!(await isCommunityAdmin(user, targetDoc.data().communityId))) {
+    console.log(`[ACTION] User ${user.uid} is not an admin of community ${targetDoc.data().communityId}, refusing ${action} on ${targetId}`);
+    return { success: false, code: 'forbidden', error: 'Forbidden - Admin access required' };
+  }
+
+  const result = await db.runTransaction(async (transaction) => {
+    const currentDoc = await transaction.get(targetRef);
+    // The target may have been deleted since the check above
+    if (!currentDoc.exists) {
+      return { success: false, code: 'not_found', error: `${definition.idField} ${targetId} not found` };
+    }
+    const current = currentDoc.data();
+    // Another admin may have handled it since the notification was sent
+    if (current.status !== definition.from) {
+      return { success: false, code: 'conflict', error: `Already handled (status is ${current.status})` };
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(targetRef, {
+      status: definition.status,
+      updatedBy: user.uid,
+      updatedAt: now,
+      ...(action === 'reject' && reason && { rejectionReason: String(reason).substring(0, 500) }),
+      ...(action === 'acknowledge' && { acknowledgedBy: user.uid, acknowledgedAt: now }),
+    });
+    return { success: true, action, targetId, status: definition.status };
+  });
+
+  if (result.success) {
+    console.log(`[ACTION] User ${user.uid} applied ${action} to ${definition.collection}/${targetId}`);
+  }
+  return result;
+};
+
+module.exports = {
+  ACTIONS,
+  getActionCategory,
+  getNotificationActions,
+  applyNotificationAction
+};
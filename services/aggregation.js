@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { getFirestore } = require('./firebase');
+const { renderTemplate } = require('./templates');
+
+// Notification aggregation
+// Repeated events on the same target (e.g. ten likes on one notice within a few minutes)
+// are merged into one notification that updates in place: "Maria and 9 others liked your notice".
+// State lives in notification_aggregates, keyed by recipient, action and target, and holds the
+// actor list plus the inbox entry that is being updated.
+
+const AGGREGATION_WINDOW_MS = parseInt(process.env.AGGREGATION_WINDOW_MS) || 10 * 60 * 1000;
+// Only the most recent actors are kept on the aggregate document
+const MAX_STORED_ACTORS = 50;
+
+// Describe the target of a like from the notification data
+const getLikeTarget = (data) => {
+  if (data.replyId) {
+    return { targetType: 'reply', targetId: data.replyId, preview: data.replyText };
+  }
+  if (data.commentId) {
+    return { targetType: 'comment', targetId: data.commentId, preview: data.commentText };
+  }
+  if (data.noticeId) {
+    return { targetType: 'notice', targetId: data.noticeId, preview: data.noticeTitle };
+  }
+  return null;
+};
+
+// Check whether a notification can be merged with others on the same target
+const isAggregatable = (data = {}) => {
+  return data.type === 'socialInteractions' && !!data.likerId && !!getLikeTarget(data);
+};
+
+// Stable key for the target, short enough for the apns-collapse-id header (64 bytes)
+const getCollapseKey = (aggregateKey) => {
+  return `agg_${crypto.createHash('sha1').update(aggregateKey).digest('hex').substring(0, 32)}`;
+};
+
+// Render the merged notification text in the recipient's locale, newest actor first
+const renderAggregate = (title, body, actors, actorCount, target, locale) => {
+  if (actorCount <= 1 || actors.length < 2) {
+    return { title, body };
+  }
+
+  const [latest, second] = actors;
+  const params = {
+    latestName: latest.name,
+    secondName: second.name,
+    othersCount: actorCount - 1,
+    target: renderTemplate(`like_target_${target.targetType}`, locale).body,
+    preview: target.preview ? `: "${target.preview}"` : '',
+  };
+  const key = actorCount === 2 ? 'like_aggregate_two' : 'like_aggregate_many';
+
+  return { title, body: renderTemplate(key, locale, params).body };
+};
+
+// Record an event on its aggregate and return the merged notification
+// Returns { key, collapseKey, title, body, actorCount, notificationId, statusId, created }
+// When a new aggregation window starts, the inbox entry and its status record are created in the
+// same transaction (created is true), so events arriving together all update that one entry
+const recordAggregateEvent = async (userId, title, body, data, locale) => {
+  const db = getFirestore();
+  const target = getLikeTarget(data);
+  const key = `${userId}_like_${target.targetType}_${target.targetId}`;
+  const aggregateRef = db.collection('notification_aggregates').doc(key);
+  const actor = { id: data.likerId, name: data.likerName || 'Someone' };
+
+  return db.runTransaction(async (transaction) => {
+    const aggregateDoc = await transaction.get(aggregateRef);
+    const now = Date.now();
+
+    let aggregate = aggregateDoc.exists ? aggregateDoc.data() : null;
+    const updatedAtMs = aggregate && aggregate.updatedAt && aggregate.updatedAt.toMillis ? aggregate.updatedAt.toMillis() : 0;
+
+    // Start a fresh aggregate when the previous one has gone quiet
+    if (!aggregate || now - updatedAtMs > AGGREGATION_WINDOW_MS) {
+      aggregate = { actors: [], notificationId: null, statusId: null };
+    }
+
+    const created = !aggregate.notificationId;
+    const notificationRef = created ?
+      db.collection('user_notifications').doc() :
+      db.collection('user_notifications').doc(aggregate.notificationId);
+    const statusRef = created ? db.collection('notification_status').doc() : null;
+
+    // Move the actor to the front (a user who unlikes and likes again is counted once)
+    const actors = [actor, ...aggregate.actors.filter(existing => existing.id !== actor.id)]
+      .slice(0, MAX_STORED_ACTORS);
+    const isRepeatActor = aggregate.actors.some(existing => existing.id === actor.id);
+    const actorCount = isRepeatActor ? aggregate.actorCount : (aggregate.actorCount || 0) + 1;
+
+    const notificationId = notificationRef.id;
+    const statusId = created ? statusRef.id : aggregate.statusId;
+    const collapseKey = getCollapseKey(key);
+    const rendered = renderAggregate(title, body, actors, actorCount, target, locale);
+
+    transaction.set(aggregateRef, {
+      userId,
+      action: 'like',
+      targetType: target.targetType,
+      targetId: target.targetId,
+      actors,
+      actorCount,
+      notificationId,
+      statusId,
+      updatedAt: admin.firestore.Timestamp.fromMillis(now),
+    });
+
+    if (created) {
+      // Same records as storeNotificationForUser in services/notifications.js
+      // Strip undefined values, which Firestore rejects
+      const storedData = JSON.parse(JSON.stringify({ ...data, collapseKey, aggregateCount: String(actorCount) }));
+      transaction.set(notificationRef, {
+        userId,
+        title: rendered.title,
+        body: rendered.body,
+        type: storedData.type || 'general',
+        data: storedData,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdBy: storedData.authorId || 'system',
+      });
+      transaction.set(statusRef, {
+        userId,
+        communityId: null,
+        notificationId,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    return {
+      key,
+      collapseKey,
+      title: rendered.title,
+      body: rendered.body,
+      actorCount,
+      notificationId,
+      statusId,
+      created,
+    };
+  });
+};
+
+// Remember which inbox entry belongs to an aggregate
+const setAggregateNotification = async (key, notificationId, statusId) => {
+  try {
+    await getFirestore().collection('notification_aggregates').doc(key).update({
+      notificationId,
+      statusId: statusId || null,
+    });
+  } catch (error) {
+    console.error(`[AGGREGATION ERROR] Failed to link aggregate ${key} to notification ${notificationId}:`, error);
+  }
+};
+
+module.exports = {
+  isAggregatable,
+  recordAggregateEvent,
+  setAggregateNotification
+};
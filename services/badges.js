@@ -0,0 +1,93 @@
+const { getFirestore } = require('./firebase');
+const { getTransport } = require('./transport');
+const { getTokenValues } = require('./topics');
+
+// App icon badges
+// The badge on a push is the recipient's number of unread notifications, counted from their
+// notification_status records (a record exists while a notification is unread and is deleted
+// when it is read). When notifications are read, the user's other devices get a silent
+// update with the new count so every badge stays in step.
+
+// FCM accepts at most 500 messages per sendEach call
+const FCM_BATCH_SIZE = 500;
+
+// Number of unread notifications for a user
+const getUnreadCount = async (userId) => {
+  const db = getFirestore();
+  const snapshot = await db.collection('notification_status')
+    .where('userId', '==', userId)
+    .where('read', '==', false)
+    .count()
+    .get();
+  return snapshot.data().count;
+};
+
+// Unread count for a push, or null if it cannot be counted (the badge is then left unchanged)
+const getBadgeCount = async (userId) => {
+  try {
+    return await getUnreadCount(userId);
+  } catch (error) {
+    console.error(`[BADGE ERROR] Error counting unread notifications for user ${userId}:`, error.message);
+    return null;
+  }
+};
+
+// Build a silent message that only sets the badge
+// iOS applies a badge-only alert without showing anything; Android has no badge field, so the
+// app applies data.badge itself
+const buildBadgeMessage = (token, count) => ({
+  token,
+  data: {
+    type: 'badge',
+    badge: String(count),
+  },
+  android: {
+    priority: 'normal',
+  },
+  apns: {
+    headers: {
+      'apns-push-type': 'alert',
+      'apns-priority': '5',
+    },
+    payload: {
+      aps: {
+        badge: count,
+        'content-available': 1,
+      },
+    },
+  },
+});
+
+// Send the user's current unread count to their devices
+// excludeToken is the device that triggered the update (it already knows the count)
+// Returns { badge, sentCount, failureCount }
+const sendBadgeUpdate = async (userId, { excludeToken } = {}) => {
+  const db = getFirestore();
+  const userTokensDoc = await db.collection('user_tokens').doc(userId).get();
+  const tokens = userTokensDoc.exists ?
+    getTokenValues(userTokensDoc.data().tokens, { loggedOut: false }).filter(token => token !== excludeToken) :
+    [];
+
+  const badge = await getUnreadCount(userId);
+  const summary = { badge, sentCount: 0, failureCount: 0 };
+  if (tokens.length === 0) {
+    return summary;
+  }
+
+  const messaging = getTransport();
+  for (let i = 0; i < tokens.length; i += FCM_BATCH_SIZE) {
+    const response = await messaging.sendEach(tokens.slice(i, i + FCM_BATCH_SIZE).map(token => buildBadgeMessage(token, badge)));
+    summary.sentCount += response.successCount;
+    summary.failureCount += response.failureCount;
+  }
+
+  console.log(`[BADGE DEBUG] Sent badge ${badge} to ${summary.sentCount} devices of user ${userId} (${summary.failureCount} failed)`);
+  return summary;
+};
+
+module.exports = {
+  getUnreadCount,
+  getBadgeCount,
+  buildBadgeMessage,
+  sendBadgeUpdate
+};
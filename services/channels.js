@@ -0,0 +1,47 @@
+const { sendEmailNotification } = require('./email');
+const { sendSmsNotification } = require('./sms');
+const { resolvePreference } = require('./preferences');
+
+// Fallback channels
+// Used by sendNotificationToUser when no device can receive a push, or when the user turned push
+// off for the notification but left a channel on (e.g. { reports: { channels: { push: false,
+// email: true } } }). Community sends are push only. Each channel decides for itself whether the
+// user opted in and the notification qualifies, and returns { sent: true, ... } or
+// { sent: false, reason }. Type, subtype and community settings for the channel
+// (services/preferences.js) are checked first.
+const FALLBACK_CHANNELS = [
+  { name: 'email', send: sendEmailNotification },
+  { name: 'sms', send: sendSmsNotification },
+];
+
+// Check whether the user's type, subtype and community settings allow any fallback channel
+const hasEnabledFallbackChannel = (preferences = {}, data = {}) =>
+  FALLBACK_CHANNELS.some(channel => resolvePreference(preferences, data, channel.name).enabled);
+
+// Send a notification through every fallback channel the user opted in to
+// Returns { sent, channels } where channels has each channel's result by name
+const sendFallbackNotification = async (userId, title, body, data = {}, preferences = {}) => {
+  const channels = {};
+  for (const channel of FALLBACK_CHANNELS) {
+    if (!resolvePreference(preferences, data, channel.name).enabled) {
+      channels[channel.name] = { sent: false, reason: 'mutedByUser' };
+      continue;
+    }
+    try {
+      channels[channel.name] = await channel.send(userId, title, body, data, preferences);
+    } catch (error) {
+      console.error(`[CHANNEL ERROR] ${channel.name} fallback failed for user ${userId}:`, error.message);
+      channels[channel.name] = { sent: false, reason: 'error', error: error.message };
+    }
+  }
+
+  return {
+    sent: Object.values(channels).some(result => result.sent),
+    channels,
+  };
+};
+
+module.exports = {
+  sendFallbackNotification,
+  hasEnabledFallbackChannel
+};
@@ -0,0 +1,185 @@
+const admin = require('firebase-admin');
+const { getFirestore } = require('./firebase');
+const { getUserTimezone, getNextLocalTime } = require('./quietHours');
+const { renderTemplate, getLocaleForUser } = require('./templates');
+
+// Digest mode
+// Users choose how often they want to hear about a notification type in
+// notificationPreferences.digest, e.g. { socialInteractions: 'hourly' }.
+// Events for digested types are stored in digest_events and sent as one summary
+// push and inbox entry per user when the digest is due.
+
+const DIGEST_FREQUENCIES = ['instant', 'hourly', 'daily'];
+// Notification types that support digest mode
+const DIGESTIBLE_TYPES = ['socialInteractions'];
+// Local time at which daily digests go out
+const DAILY_DIGEST_TIME = process.env.DAILY_DIGEST_TIME || '18:00';
+const FLUSH_INTERVAL_MS = 60 * 1000;
+
+// Validate a digest preference object, returns an error message or null
+const validateDigestPreferences = (digest) => {
+  if (typeof digest !== 'object' || digest === null) {
+    return 'digest must be an object';
+  }
+  for (const [type, frequency] of Object.entries(digest)) {
+    if (!DIGESTIBLE_TYPES.includes(type)) {
+      return `Digest mode is not supported for ${type}`;
+    }
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return `digest.${type} must be one of: ${DIGEST_FREQUENCIES.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+// The user's digest frequency for a notification type
+const getDigestFrequency = (preferences = {}, type) => {
+  if (!DIGESTIBLE_TYPES.includes(type)) {
+    return 'instant';
+  }
+  const frequency = preferences.digest && preferences.digest[type];
+  return DIGEST_FREQUENCIES.includes(frequency) ? frequency : 'instant';
+};
+
+// When the next digest of the given frequency is due
+const getNextDigestTime = (frequency, preferences, now = Date.now()) => {
+  if (frequency === 'daily') {
+    return getNextLocalTime(DAILY_DIGEST_TIME, getUserTimezone(preferences), now);
+  }
+  // Hourly digests go out at the top of the next hour
+  const hourMs = 60 * 60 * 1000;
+  return now - (now % hourMs) + hourMs;
+};
+
+// Store an event for the user's next digest instead of pushing it now
+const addToDigest = async (userId, title, body, data, frequency, preferences) => {
+  const db = getFirestore();
+  const deliverAt = getNextDigestTime(frequency, preferences);
+
+  // Strip undefined values, which Firestore rejects
+  const storedData = JSON.parse(JSON.stringify(data || {}));
+
+  const eventRef = await db.collection('digest_events').add({
+    userId,
+    type: storedData.type,
+    frequency,
+    title,
+    body,
+    data: storedData,
+    deliverAt: admin.firestore.Timestamp.fromMillis(deliverAt),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log(`[DIGEST] Added ${storedData.type} event ${eventRef.id} to ${frequency} digest for user ${userId}, due ${new Date(deliverAt).toISOString()}`);
+  return { eventId: eventRef.id, deliverAt };
+};
+
+// Describe what kind of social interaction an event was
+const getInteractionKind = (data = {}) => {
+  if (data.likerId) return 'like';
+  if (data.mentioned === true || data.mentioned === 'true') return 'mention';
+  if (data.replyId) return 'reply';
+  if (data.commentId) return 'comment';
+  return 'interaction';
+};
+
+// Build the summary push for a user's digest, in the recipient's locale
+const buildDigestSummary = (events, locale) => {
+  const counts = {};
+  events.forEach(event => {
+    const kind = getInteractionKind(event.data);
+    counts[kind] = (counts[kind] || 0) + 1;
+  });
+
+  const parts = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([kind, count]) => {
+      const part = renderTemplate(`digest_part_${kind}`, locale, { count });
+      return count === 1 ? part.title : part.body;
+    });
+
+  const { title, body } = renderTemplate('digest_summary', locale, { count: events.length, parts: parts.join(', ') });
+  return { title, body, counts };
+};
+
+// Send every digest that is due
+const flushDigests = async () => {
+  const db = getFirestore();
+  const { sendNotificationToUser } = require('./notifications');
+
+  const dueSnapshot = await db.collection('digest_events')
+    .where('deliverAt', '<=', admin.firestore.Timestamp.now())
+    .limit(500)
+    .get();
+
+  if (dueSnapshot.empty) {
+    return { digests: 0, events: 0 };
+  }
+
+  // One digest per user and notification type
+  const digests = new Map();
+  dueSnapshot.docs.forEach(doc => {
+    const event = { id: doc.id, ref: doc.ref, ...doc.data() };
+    const key = `${event.userId}_${event.type}`;
+    if (!digests.has(key)) {
+      digests.set(key, []);
+    }
+    digests.get(key).push(event);
+  });
+
+  console.log(`[DIGEST] Sending ${digests.size} digests covering ${dueSnapshot.size} events`);
+
+  for (const events of digests.values()) {
+    const { userId, type, frequency } = events[0];
+    try {
+      // A single event is sent as-is, several are summarized
+      if (events.length === 1) {
+        await sendNotificationToUser(userId, events[0].title, events[0].body, events[0].data, { skipDigest: true });
+      } else {
+        const summary = buildDigestSummary(events, await getLocaleForUser(userId));
+        await sendNotificationToUser(userId, summary.title, summary.body, {
+          type,
+          digest: 'true',
+          digestFrequency: frequency,
+          digestCount: String(events.length),
+          noticeIds: [...new Set(events.map(event => event.data.noticeId).filter(Boolean))].join(','),
+        }, { skipDigest: true });
+      }
+
+      const batch = db.batch();
+      events.forEach(event => batch.delete(event.ref));
+      await batch.commit();
+    } catch (error) {
+      console.error(`[DIGEST ERROR] Error sending ${type} digest to user ${userId}:`, error);
+    }
+  }
+
+  return { digests: digests.size, events: dueSnapshot.size };
+};
+
+// Start checking for digests that are due
+let workerStarted = false;
+const startDigestWorker = () => {
+  if (workerStarted) {
+    return;
+  }
+  workerStarted = true;
+
+  console.log(`Starting notification digests (daily digests at ${DAILY_DIGEST_TIME} local time)...`);
+
+  setInterval(async () => {
+    try {
+      await flushDigests();
+    } catch (error) {
+      console.error('[DIGEST ERROR] Error sending digests:', error);
+    }
+  }, FLUSH_INTERVAL_MS);
+};
+
+module.exports = {
+  validateDigestPreferences,
+  getDigestFrequency,
+  addToDigest,
+  flushDigests,
+  startDigestWorker
+};
@@ -0,0 +1,163 @@
+const admin = require('firebase-admin');
+const nodemailer = require('nodemailer');
+const { getFirestore } = require('./firebase');
+const { getWebLink } = require('./webPush');
+const { getActionCategory } = require('./actions');
+
+// Email fallback
+// When a user has no device that can receive a push, important notifications can be
+// sent to their email address instead. Users opt in per category in
+// notificationPreferences.emailFallback, e.g. { reports: true, adminAlerts: true }.
+//
+// The channel is pluggable: EMAIL_TRANSPORT=smtp sends through SMTP_HOST (point it at a
+// local catcher such as MailHog on port 1025 during development), EMAIL_TRANSPORT=log only
+// logs the message. Without a transport the fallback is disabled.
+
+// Categories users can opt in to
+const EMAIL_FALLBACK_CATEGORIES = ['reports', 'emergency', 'adminAlerts'];
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Pulse <no-reply@pulse.local>';
+
+// Helper function to create the configured transport, or null when email is disabled
+const createTransport = () => {
+  const transport = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+
+  if (transport === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      console.error('[EMAIL ERROR] EMAIL_TRANSPORT is smtp but SMTP_HOST is not set, email fallback disabled');
+      return null;
+    }
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      ...(process.env.SMTP_USER && {
+        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+      }),
+    });
+  }
+
+  if (transport === 'log') {
+    return {
+      sendMail: async (mail) => {
+        console.log(`[EMAIL DEBUG] Would send email to ${mail.to}: "${mail.subject}"`);
+        return { messageId: `log-${Date.now()}` };
+      },
+    };
+  }
+
+  if (transport) {
+    console.error(`[EMAIL ERROR] Unknown EMAIL_TRANSPORT "${transport}", email fallback disabled`);
+  }
+  return null;
+};
+
+let transport = createTransport();
+
+// Replace the transport, e.g. with another provider that has a sendMail(mail) method
+const setEmailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const isEmailEnabled = () => transport !== null;
+
+// Validate an emailFallback preference object, returns an error message or null
+const validateEmailPreferences = (emailFallback) => {
+  if (typeof emailFallback !== 'object' || emailFallback === null) {
+    return 'emailFallback must be an object';
+  }
+  for (const [category, enabled] of Object.entries(emailFallback)) {
+    if (!EMAIL_FALLBACK_CATEGORIES.includes(category)) {
+      return `Email fallback is not supported for ${category}`;
+    }
+    if (typeof enabled !== 'boolean') {
+      return `emailFallback.${category} must be true or false`;
+    }
+  }
+  return null;
+};
+
+// The email fallback category of a notification, or null if it never goes to email
+// Admin review requests (pending marketplace items, new reports) are flagged with isForAdmin or
+// carry a review action
+const getEmailCategory = (data = {}) => {
+  if (String(data.isForAdmin) === 'true' || getActionCategory(data)) return 'adminAlerts';
+  if (data.type === 'reports' || data.type === 'emergency') return data.type;
+  return null;
+};
+
+// Helper function to find the user's email address
+const getUserEmail = async (userId) => {
+  const db = getFirestore();
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (userDoc.exists && userDoc.data().email) {
+    return userDoc.data().email;
+  }
+
+  try {
+    const userRecord = await admin.auth().getUser(userId);
+    return userRecord.email || null;
+  } catch (error) {
+    console.error(`[EMAIL ERROR] Could not look up auth record for user ${userId}:`, error.message);
+    return null;
+  }
+};
+
+// Helper function to escape text for the HTML part
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Email a notification to a user who opted in for its category
+// Returns { sent: true, messageId } or { sent: false, reason }
+const sendEmailNotification = async (userId, title, body, data = {}, preferences = {}) => {
+  if (!isEmailEnabled()) {
+    return { sent: false, reason: 'disabled' };
+  }
+
+  const category = getEmailCategory(data);
+  if (!category) {
+    return { sent: false, reason: 'notEligible' };
+  }
+
+  if (!preferences.emailFallback || preferences.emailFallback[category] !== true) {
+    return { sent: false, reason: 'notOptedIn' };
+  }
+
+  const email = await getUserEmail(userId);
+  if (!email) {
+    console.log(`[EMAIL DEBUG] User ${userId} has no email address, skipping fallback`);
+    return { sent: false, reason: 'noEmail' };
+  }
+
+  const link = getWebLink(data);
+  const text = link ? `${body}\n\n${link}` : body;
+  const html = `<p>${escapeHtml(body)}</p>${link ? `<p><a href="${escapeHtml(link)}">Open Pulse</a></p>` : ''}`;
+
+  try {
+    const info = await transport.sendMail({
+      from: EMAIL_FROM,
+      to: email,
+      subject: title,
+      text,
+      html,
+    });
+    console.log(`[EMAIL DEBUG] Sent ${category} email fallback to user ${userId}`);
+    return { sent: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`[EMAIL ERROR] Failed to send email fallback to user ${userId}:`, error.message);
+    return { sent: false, reason: 'error', error: error.message };
+  }
+};
+
+module.exports = {
+  EMAIL_FALLBACK_CATEGORIES,
+  isEmailEnabled,
+  setEmailTransport,
+  validateEmailPreferences,
+  getEmailCategory,
+  sendEmailNotification
+};
@@ -0,0 +1,274 @@
+const admin = require('firebase-admin');
+const { getFirestore } = require('./firebase');
+
+// Processed-event ledger
+// Monitors decide whether an event (a notice, comment, like, chat message, ...) is new by
+// claiming its identity here instead of comparing timestamps with the server clock. A claim
+// creates processed_events/{eventKey}; any later claim of the same key - from a repeated
+// snapshot, another server instance or after a restart - finds the document and is refused,
+// so every event is notified once.
+//
+// The first time the ledger runs it records startedAt in processed_events/_ledger. Events that
+// happened before then are treated as already processed, so existing history is not replayed.
+//
+// A claim starts out pending and is completed once the notification has been queued
+// (processEvents does both). If the handler throws, the claim is released; if the instance dies
+// first, the claim's lease runs out and the next snapshot that sees the event claims it again.
+
+const LEDGER_COLLECTION = 'processed_events';
+const LEDGER_META_DOC = '_ledger';
+// Events first seen longer than this after they happened (e.g. after a long outage) are skipped
+const MAX_EVENT_AGE_MS = parseInt(process.env.EVENT_LEDGER_MAX_AGE_MS) || 24 * 60 * 60 * 1000;
+// Number of ledger documents fetched per getAll call
+const READ_BATCH_SIZE = 100;
+// Keys this instance knows are processed, so rescans of a notice do not read the ledger again
+const KNOWN_KEYS_LIMIT = 10000;
+// How long a pending claim blocks other claims of the event before it can be taken over
+const CLAIM_LEASE_MS = parseInt(process.env.EVENT_CLAIM_LEASE_MS) || 2 * 60 * 1000;
+
+const knownKeys = new Set();
+let ledgerStart = null;
+
+// Helper function to remember a processed key, dropping the oldest once the cache is full
+const rememberKey = (key) => {
+  if (knownKeys.size >= KNOWN_KEYS_LIMIT) {
+    knownKeys.delete(knownKeys.values().next().value);
+  }
+  knownKeys.add(key);
+};
+
+// Helper function to split an array into chunks of the given size
+const chunkArray = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Helper function to convert a Firestore timestamp or epoch milliseconds to milliseconds
+const toMillis = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return value;
+  if (value.toMillis) return value.toMillis();
+  return value._seconds ? value._seconds * 1000 : 0;
+};
+
+// Build the ledger key of an event from its type and identifying IDs
+// e.g. getEventKey('comment', noticeId, commentId) -> 'comment:<noticeId>:<commentId>'
+const getEventKey = (type, ...ids) =>
+  [type, ...ids].map(part => String(part).replace(/\//g, '_')).join(':');
+
+// Load (or on first run, record) the time the ledger started
+// Returns the start time in milliseconds
+const startEventLedger = () => {
+  if (!ledgerStart) {
+    const db = getFirestore();
+    const metaRef = db.collection(LEDGER_COLLECTION).doc(LEDGER_META_DOC);
+    ledgerStart = db.runTransaction(async (transaction) => {
+      const metaDoc = await transaction.get(metaRef);
+      if (metaDoc.exists) {
+        return metaDoc.data().startedAt.toMillis();
+      }
+      const startedAt = admin.firestore.Timestamp.now();
+      transaction.set(metaRef, { startedAt });
+      return startedAt.toMillis();
+    }).then(startedAt => {
+      console.log(`[LEDGER DEBUG] Processed-event ledger active since ${new Date(startedAt).toISOString()}`);
+      return startedAt;
+    }).catch(error => {
+      // Try again on the next claim
+      ledgerStart = null;
+      throw error;
+    });
+  }
+  return ledgerStart;
+};
+
+// Helper function to check whether a ledger document is a pending claim whose lease ran out
+// Documents without a status were written before claims had leases and count as completed
+const isExpiredClaim = (data, now) =>
+  data.status === 'pending' && toMillis(data.leaseExpiresAt) < now;
+
+// Claim a batch of events for processing
+// events is an array of { key, occurredAt, source }, where occurredAt is when the event happened
+// (Firestore timestamp or milliseconds, if known); other fields are passed through. Returns the
+// events this call claimed, in order. Events that were already claimed, predate the ledger or
+// are too old are left out. Each claim must be completed with completeEvent once the
+// notification is queued, or released with releaseEvent if it could not be; processEvents
+// does this for you.
+const claimEvents = async (events) => {
+  const startedAt = await startEventLedger();
+  const now = Date.now();
+
+  const candidates = events.filter(({ key, occurredAt }) => {
+    if (knownKeys.has(key)) return false;
+    const occurredAtMs = toMillis(occurredAt);
+    if (occurredAtMs === null) return true;
+    if (occurredAtMs < startedAt) {
+      rememberKey(key);
+      return false;
+    }
+    if (now - occurredAtMs > MAX_EVENT_AGE_MS) {
+      console.log(`[LEDGER DEBUG] Skipping event ${key} - too old (${Math.floor((now - occurredAtMs) / 1000)} seconds)`);
+      rememberKey(key);
+      return false;
+    }
+    return true;
+  });
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const db = getFirestore();
+  const ledger = db.collection(LEDGER_COLLECTION);
+
+  // Read the ledger first so rescans of many old events do not each attempt a write
+  const unclaimed = [];
+  const expired = [];
+  for (const chunk of chunkArray(candidates, READ_BATCH_SIZE)) {
+    const docs = await db.getAll(...chunk.map(({ key }) => ledger.doc(key)));
+    docs.forEach((doc, index) => {
+      if (!doc.exists) {
+        unclaimed.push(chunk[index]);
+      } else if (isExpiredClaim(doc.data(), now)) {
+        expired.push(chunk[index]);
+      } else if (doc.data().status !== 'pending') {
+        rememberKey(chunk[index].key);
+      }
+      // Pending claims of other snapshots or instances are left alone until their lease runs out
+    });
+  }
+
+  const claimed = [];
+  for (const event of unclaimed) {
+    const { key, occurredAt, source } = event;
+    try {
+      // create() fails if another snapshot or instance claimed the event in the meantime
+      await ledger.doc(key).create({
+        source: source || null,
+        status: 'pending',
+        occurredAt: toMillis(occurredAt) !== null ? admin.firestore.Timestamp.fromMillis(toMillis(occurredAt)) : null,
+        claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+        leaseExpiresAt: admin.firestore.Timestamp.fromMillis(now + CLAIM_LEASE_MS),
+        // Firestore TTL policies can use this field; by then the event is skipped as too old anyway
+        expiresAt: admin.firestore.Timestamp.fromMillis(now + 2 * MAX_EVENT_AGE_MS),
+      });
+      claimed.push(event);
+      rememberKey(key);
+    } catch (error) {
+      if (error.code !== 6 && error.code !== 'already-exists') {
+        throw error;
+      }
+      console.log(`[LEDGER DEBUG] Event ${key} was already claimed`);
+    }
+  }
+
+  // Take over claims whose holder died before completing them
+  for (const event of expired) {
+    const ref = ledger.doc(event.key);
+    const takenOver = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || !isExpiredClaim(doc.data(), Date.now())) {
+        return false;
+      }
+      transaction.update(ref, {
+        claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+        leaseExpiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + CLAIM_LEASE_MS),
+      });
+      return true;
+    });
+    if (takenOver) {
+      console.log(`[LEDGER DEBUG] Took over expired claim of event ${event.key}`);
+      claimed.push(event);
+      rememberKey(event.key);
+    }
+  }
+
+  return claimed;
+};
+
+// Find which of the given keys are in the ledger (claimed or processed)
+// Returns a Set of the keys found
+const findRecordedEvents = async (keys) => {
+  const found = new Set(keys.filter(key => knownKeys.has(key)));
+  const unknown = keys.filter(key => !found.has(key));
+  const db = getFirestore();
+  const ledger = db.collection(LEDGER_COLLECTION);
+
+  for (const chunk of chunkArray(unknown, READ_BATCH_SIZE)) {
+    const docs = await db.getAll(...chunk.map(key => ledger.doc(key)));
+    docs.forEach((doc, index) => {
+      if (doc.exists) {
+        found.add(chunk[index]);
+      }
+    });
+  }
+  return found;
+};
+
+// Mark a claimed event as processed
+const completeEvent = async (key) => {
+  try {
+    await getFirestore().collection(LEDGER_COLLECTION).doc(key).update({
+      status: 'done',
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    // The claim stays pending, so the event may be notified again once its lease runs out
+    console.error(`[LEDGER ERROR] Error completing event ${key}:`, error);
+  }
+};
+
+// Give up a claim so the next snapshot that sees the event claims it again
+const releaseEvent = async (key) => {
+  knownKeys.delete(key);
+  try {
+    await getFirestore().collection(LEDGER_COLLECTION).doc(key).delete();
+  } catch (error) {
+    // The lease still runs out, after which the event can be claimed again
+    console.error(`[LEDGER ERROR] Error releasing event ${key}:`, error);
+  }
+};
+
+// Claim events and run handler(event) for each one claimed, in order
+// A claim is completed when its handler returns and released when it throws, so an event is
+// only recorded as processed once its notification has been queued. A failing event does not
+// stop the others; the first error is rethrown once all of them have run.
+// Returns the events that were handled.
+const processEvents = async (events, handler) => {
+  const handled = [];
+  let firstError = null;
+  for (const event of await claimEvents(events)) {
+    try {
+      await handler(event);
+      await completeEvent(event.key);
+      handled.push(event);
+    } catch (error) {
+      console.error(`[LEDGER ERROR] Error processing event ${event.key}, releasing it`);
+      await releaseEvent(event.key);
+      firstError = firstError || error;
+    }
+  }
+  if (firstError) {
+    throw firstError;
+  }
+  return handled;
+};
+
+// Claim and process a single event, see processEvents
+// Returns true if the event was new and handled
+const processEvent = async (key, { occurredAt, source } = {}, handler) =>
+  (await processEvents([{ key, occurredAt, source }], handler)).length > 0;
+
+module.exports = {
+  getEventKey,
+  startEventLedger,
+  claimEvents,
+  findRecordedEvents,
+  completeEvent,
+  releaseEvent,
+  processEvents,
+  processEvent
+};
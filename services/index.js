@@ -8,9 +8,63 @@ module.exports = {
   // Firebase services
   firebase: require('./firebase'),
   
+  // Messaging transport (FCM or in-memory)
+  transport: require('./transport'),
+  
   // Notification services
   notifications: require('./notifications'),
   
+  // Localized notification templates
+  templates: require('./templates'),
+  
+  // Notification preferences by type, subtype, community and channel
+  preferences: require('./preferences'),
+  
+  // Quiet hours and deferred delivery
+  quietHours: require('./quietHours'),
+  
+  // Digest mode for frequent notification types
+  digest: require('./digest'),
+  
+  // Aggregation of repeated events into one notification
+  aggregation: require('./aggregation'),
+  
+  // Priority classes (TTL and urgency) per notification type
+  priority: require('./priority'),
+  
+  // Email fallback for users without a deliverable device
+  email: require('./email'),
+  
+  // SMS fallback with per-community budgets
+  sms: require('./sms'),
+  
+  // Fallback channels (email, SMS) used when push is not possible
+  channels: require('./channels'),
+  
+  // Per-recipient push rate limiting
+  rateLimit: require('./rateLimit'),
+  
+  // Community topic subscriptions
+  topics: require('./topics'),
+  
+  // Images attached to notifications
+  media: require('./media'),
+  
+  // Action buttons on admin notifications
+  actions: require('./actions'),
+  
+  // App icon badges from unread counts
+  badges: require('./badges'),
+  
+  // Delivery and open receipts
+  receipts: require('./receipts'),
+  
+  // Outbound notification queue
+  queue: require('./queue'),
+  
+  // Ledger of events the monitors have already processed
+  eventLedger: require('./eventLedger'),
+  
   // Monitoring services
   monitoring: require('./monitoring')
 };
@@ -0,0 +1,115 @@
+const axios = require('axios');
+
+// Notification images
+// A push can show a picture (a marketplace item's first photo, a notice attachment) when
+// data.imageUrl is set. Before it is attached, the URL is checked with a HEAD request: it must
+// be HTTPS, serve an image and fit FCM's size limit. Anything else is dropped and the
+// notification goes out as text only.
+//
+// data.imageUrl can come from API callers, so only hosts in NOTIFICATION_IMAGE_HOSTS are
+// requested (Firebase Storage by default) and redirects are not followed; otherwise the
+// server could be made to send requests to internal addresses.
+
+// FCM does not display images larger than 1 MB
+const MAX_IMAGE_BYTES = parseInt(process.env.NOTIFICATION_IMAGE_MAX_BYTES) || 1024 * 1024;
+const MAX_URL_LENGTH = 2048;
+const CHECK_TIMEOUT_MS = 3000;
+// Hosts images may be served from
+const ALLOWED_IMAGE_HOSTS = (process.env.NOTIFICATION_IMAGE_HOSTS || 'firebasestorage.googleapis.com,storage.googleapis.com')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+// Checked URLs are remembered so a community fan-out or repeated event does not check again
+const CHECK_CACHE_TTL_MS = 10 * 60 * 1000;
+const CHECK_CACHE_LIMIT = 500;
+
+const checkCache = new Map();
+
+// Check that a value is an HTTPS URL on an allowed host, on the default port
+const isValidImageUrl = (url) => {
+  if (typeof url !== 'string' || url.length === 0 || url.length > MAX_URL_LENGTH) {
+    return false;
+  }
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' &&
+      parsed.port === '' &&
+      ALLOWED_IMAGE_HOSTS.includes(parsed.hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+};
+
+// Pick the first usable image URL from candidate fields
+// Candidates can be URLs, arrays of URLs, or attachment objects ({ url, type }) and arrays of them
+const pickImageUrl = (...candidates) => {
+  for (const candidate of candidates.flat()) {
+    if (!candidate) continue;
+    if (typeof candidate === 'string' && isValidImageUrl(candidate)) {
+      return candidate;
+    }
+    if (typeof candidate === 'object') {
+      const type = candidate.type || candidate.mimeType || candidate.contentType;
+      const url = candidate.url || candidate.downloadUrl;
+      if ((!type || String(type).startsWith('image')) && isValidImageUrl(url)) {
+        return url;
+      }
+    }
+  }
+  return null;
+};
+
+// Helper function to check an image with a HEAD request
+// Returns the reason the image cannot be used, or null
+const checkImage = async (url) => {
+  try {
+    const response = await axios.head(url, { timeout: CHECK_TIMEOUT_MS, maxRedirects: 0 });
+    const contentType = response.headers['content-type'] || '';
+    const contentLength = parseInt(response.headers['content-length']);
+
+    if (!contentType.startsWith('image/')) {
+      return `not an image (${contentType || 'no content type'})`;
+    }
+    if (contentLength > MAX_IMAGE_BYTES) {
+      return `too large (${contentLength} bytes)`;
+    }
+    return null;
+  } catch (error) {
+    return error.response ? `HTTP ${error.response.status}` : error.message;
+  }
+};
+
+// Get the image to attach to a notification, or null to send it without one
+const resolveNotificationImage = async (url) => {
+  if (!url) {
+    return null;
+  }
+  if (!isValidImageUrl(url)) {
+    console.log(`[MEDIA DEBUG] Skipping notification image, not an HTTPS URL on an allowed host: ${String(url).substring(0, 100)}`);
+    return null;
+  }
+
+  const cached = checkCache.get(url);
+  if (cached && cached.checkedAt > Date.now() - CHECK_CACHE_TTL_MS) {
+    return cached.imageUrl;
+  }
+
+  const problem = await checkImage(url);
+  if (problem) {
+    console.log(`[MEDIA DEBUG] Skipping notification image ${url.substring(0, 100)}: ${problem}`);
+  }
+
+  if (checkCache.size >= CHECK_CACHE_LIMIT) {
+    checkCache.delete(checkCache.keys().next().value);
+  }
+  const imageUrl = problem ? null : url;
+  checkCache.set(url, { imageUrl, checkedAt: Date.now() });
+  return imageUrl;
+};
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  isValidImageUrl,
+  pickImageUrl,
+  resolveNotificationImage
+};
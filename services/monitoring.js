@@ -1,5 +1,21 @@
 const admin = require('firebase-admin');
 const { getDatabase, getFirestore } = require('./firebase');
+const { renderTemplate, getLocaleForUser } = require('./templates');
+const { getEventKey, processEvent, processEvents, findRecordedEvents, releaseEvent, startEventLedger } = require('./eventLedger');
+const { pickImageUrl } = require('./media');
+
+// Helper function to tell a user's devices that a cached document changed
+// Sent as a silent data-only message whether or not the change also gets an alert; best effort
+const sendSyncHint = (userId, collection, documentId, fields = {}) => {
+  const { sendDataMessageToUser } = require('./notifications');
+  sendDataMessageToUser(
+    userId,
+    { type: 'sync', collection, documentId, ...fields },
+    { collapseKey: `sync_${collection}_${documentId}` }
+  ).catch(error => {
+    console.error(`[SYNC ERROR] Error sending sync hint for ${collection}/${documentId}:`, error);
+  });
+};
 
 // Monitor for new community notices
 const monitorCommunityNotices = () => {
@@ -20,122 +36,79 @@ const monitorCommunityNotices = () => {
         return;
       }
 
-      // IMPROVED: Extended time window for processing notices
-      // Check if notice was created recently (within the last 2 minutes)
-      // Increased from 30 seconds to 2 minutes to ensure we don't miss notices
-      const now = Date.now();
       const createdAt = noticeData.createdAt || 0;
 
-      // Only skip notices that are extremely old (> 1 hour)
-      if (now - createdAt > 60 * 60 * 1000) {
-        // Skip notices older than 1 hour
-        console.log(`Skipping notice ${noticeId} - too old (${Math.floor((now - createdAt)/1000)} seconds)`);
-        return;
-      }
-
-      // For notices between 2 minutes and 1 hour old, log but still process them
-      if (now - createdAt > 2 * 60 * 1000) {
-        console.log(`Notice ${noticeId} is older than expected (${Math.floor((now - createdAt)/1000)} seconds), but still processing`);
-      } else {
+      // child_added replays every notice on startup, so only notices not yet in the ledger are new
+      await processEvent(getEventKey('notice', noticeId), {
+        occurredAt: createdAt,
+        source: 'monitorCommunityNotices',
+      }, async () => {
         console.log(`New community notice detected: ${noticeId}`);
-      }
 
-      // Enhanced logging for better debugging
-      console.log(`[NOTICE DEBUG] Notice created by user: ${noticeData.authorId || 'unknown'}`);
-      console.log(`[NOTICE DEBUG] Notice title: "${noticeData.title || 'No title'}"`);
-      console.log(`[NOTICE DEBUG] Notice community: ${noticeData.communityId}`);
-      console.log(`[NOTICE DEBUG] Notice created at: ${new Date(createdAt).toISOString()}`);
+        // Enhanced logging for better debugging
+        console.log(`[NOTICE DEBUG] Notice created by user: ${noticeData.authorId || 'unknown'}`);
+        console.log(`[NOTICE DEBUG] Notice title: "${noticeData.title || 'No title'}"`);
+        console.log(`[NOTICE DEBUG] Notice community: ${noticeData.communityId}`);
+        console.log(`[NOTICE DEBUG] Notice created at: ${new Date(createdAt).toISOString()}`);
 
-      // Check if author is admin and store the status
-      let authorIsAdmin = false;
-      if (noticeData.authorId) {
-        try {
-          const authorDocRef = await firestore.collection('users').doc(noticeData.authorId).get();
-          if (authorDocRef.exists) {
-            const authorData = authorDocRef.data();
-            authorIsAdmin = authorData.isAdmin === true || authorData.role === 'admin';
-            if (authorIsAdmin) {
-              console.log(`[NOTICE DEBUG] Notice author ${noticeData.authorId} is an admin`);
+        // Check if author is admin and store the status
+        let authorIsAdmin = false;
+        if (noticeData.authorId) {
+          try {
+            const authorDocRef = await firestore.collection('users').doc(noticeData.authorId).get();
+            if (authorDocRef.exists) {
+              const authorData = authorDocRef.data();
+              authorIsAdmin = authorData.isAdmin === true || authorData.role === 'admin';
+              if (authorIsAdmin) {
+                console.log(`[NOTICE DEBUG] Notice author ${noticeData.authorId} is an admin`);
+              }
             }
+          } catch (error) {
+            console.error(`[NOTICE ERROR] Failed to check author admin status: ${error.message}`);
           }
-        } catch (error) {
-          console.error(`[NOTICE ERROR] Failed to check author admin status: ${error.message}`);
         }
-      }
 
-      // Check if notification for this notice already exists in Firestore
-      // to prevent duplicate notifications
-      const existingNotifications = await firestore
-        .collection('community_notifications')
-        .where('data.noticeId', '==', noticeId)
-        .limit(1)
-        .get();
+        // Send notification to all users in the community except the author
+        const { queueCommunityNotification } = require('./queue');
 
-      if (!existingNotifications.empty) {
-        console.log(`Notification for notice ${noticeId} already exists, skipping`);
-        return;
-      }
-
-      // Send notification to all users in the community except the author
-      const { sendNotificationToCommunity } = require('./notifications');
-
-      // Make sure to pass the authorId to exclude from notifications
-      if (!noticeData.authorId) {
-        console.log(`[NOTICE WARNING] No author ID found for notice ${noticeId}. Notifications might be sent to the author.`);
-      }
+        // Make sure to pass the authorId to exclude from notifications
+        if (!noticeData.authorId) {
+          console.log(`[NOTICE WARNING] No author ID found for notice ${noticeId}. Notifications might be sent to the author.`);
+        }
 
-      // IMPROVED: Add retry logic for failed notification attempts
-      let retryCount = 0;
-      const maxRetries = 3;
-      let notificationResult;
+        // Show the notice's picture or first image attachment with the notification
+        const imageUrl = pickImageUrl(noticeData.imageUrl, noticeData.imageUrls, noticeData.attachments);
 
-      while (retryCount < maxRetries) {
-        try {
-          notificationResult = await sendNotificationToCommunity(
-            noticeData.communityId,
-            'Community Notice',
-            `${noticeData.authorName || 'Administrator'} posted new community notice: "${noticeData.title || 'Community Announcement'}"\n\n${noticeData.content?.substring(0, 100) || 'No additional details provided.'}${noticeData.content?.length > 100 ? '...' : ''}`,
-            {
-              type: 'communityNotices',
-              noticeId,
-              communityId: noticeData.communityId,
-              authorId: noticeData.authorId, // Include authorId in data for additional filtering
-              authorIsAdmin: authorIsAdmin ? 'true' : 'false', // Add admin status flag
+        // Failed attempts are retried with backoff by the notification queue
+        const queued = await queueCommunityNotification(
+          noticeData.communityId,
+          null,
+          null,
+          {
+            type: 'communityNotices',
+            noticeId,
+            communityId: noticeData.communityId,
+            authorId: noticeData.authorId, // Include authorId in data for additional filtering
+            authorIsAdmin: authorIsAdmin ? 'true' : 'false', // Add admin status flag
+            ...(imageUrl && { imageUrl }),
+          },
+          noticeData.authorId, // Exclude the author
+          {
+            source: 'monitorCommunityNotices',
+            template: {
+              key: 'community_notice',
+              params: { authorName: noticeData.authorName, noticeTitle: noticeData.title, content: noticeData.content },
             },
-            noticeData.authorId // Exclude the author
-          );
-
-          // If successful or partially successful, break out of retry loop
-          if (notificationResult.success || notificationResult.sentCount > 0) {
-            break;
           }
+        );
 
-          retryCount++;
-          console.log(`[NOTICE RETRY] Attempt ${retryCount}/${maxRetries} failed, retrying in 3 seconds...`);
-          await new Promise(resolve => setTimeout(resolve, 3000)); // Wait 3 seconds before retry
-        } catch (retryError) {
-          console.error(`[NOTICE ERROR] Retry ${retryCount + 1} failed with error:`, retryError);
-          retryCount++;
-          await new Promise(resolve => setTimeout(resolve, 3000)); // Wait 3 seconds before retry
+        // Log outcome of the first notification attempt
+        if (queued.status === 'pending') {
+          console.log(`[NOTICE RETRY] First attempt for notice ${noticeId} failed, queued for retry as job ${queued.jobId}`);
+        } else if (queued.result && queued.result.sentCount > 0) {
+          console.log(`[NOTICE SUCCESS] Notification sent for notice ${noticeId} to ${queued.result.sentCount} users`);
         }
-      }
-
-      // Log outcome of notification attempt after retries
-      if (retryCount === maxRetries) {
-        console.error(`[NOTICE ERROR] Failed to send notification for notice ${noticeId} after ${maxRetries} attempts`);
-        // Record the failure for later analysis
-        await firestore.collection('failed_notifications').add({
-          noticeId,
-          communityId: noticeData.communityId,
-          authorId: noticeData.authorId,
-          title: noticeData.title,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          error: 'Maximum retry attempts reached',
-          noticeTimestamp: createdAt
-        });
-      } else if (notificationResult && notificationResult.sentCount > 0) {
-        console.log(`[NOTICE SUCCESS] Notification sent for notice ${noticeId} to ${notificationResult.sentCount} users after ${retryCount} retries`);
-      }
+      });
 
     } catch (error) {
       console.error('Error processing new community notice:', error);
@@ -171,77 +144,73 @@ const monitorCommunityNoticeComments = () => {
         return;
       }
 
-      // Get the latest comment
       const commentsArray = Object.entries(noticeData.comments || {}).map(([id, data]) => ({
         id,
         ...data,
         createdAt: data.createdAt || 0
       }));
 
-      // Sort by createdAt (newest first)
-      commentsArray.sort((a, b) => b.createdAt - a.createdAt);
-
-      if (commentsArray.length === 0) {
-        return;
-      }
-
-      const latestComment = commentsArray[0];
-
-      // DEBUG LOGGING: Log the entire comment object to diagnose issues
-      console.log(`[COMMENT DEBUG] Latest comment on notice ${noticeId}:`, JSON.stringify(latestComment));
-
-      // Check if the comment was just added (within the last 10 seconds)
-      const now = Date.now();
-      if (now - latestComment.createdAt > 10000) {
-        return;
-      }
+      // Process comments not yet in the ledger (oldest first)
+      commentsArray.sort((a, b) => a.createdAt - b.createdAt);
+      await processEvents(commentsArray.map(comment => ({
+        key: getEventKey('comment', noticeId, comment.id),
+        occurredAt: comment.createdAt,
+        source: 'monitorCommunityNoticeComments',
+        comment,
+      })), async ({ comment: newComment }) => {
+        // DEBUG LOGGING: Log the entire comment object to diagnose issues
+        console.log(`[COMMENT DEBUG] New comment on notice ${noticeId}:`, JSON.stringify(newComment));
+
+        console.log(`New comment detected on notice ${noticeId}`);
+
+        // Don't send notification if the comment author is the same as the notice author
+        if (newComment.authorId === noticeData.authorId) {
+          return;
+        }
 
-      console.log(`New comment detected on notice ${noticeId}`);
+        // Send notification to the notice author
+        const { queueUserNotification } = require('./queue');
 
-      // Don't send notification if the comment author is the same as the notice author
-      if (latestComment.authorId === noticeData.authorId) {
-        return;
-      }
+        // Make sure text exists and is a string before using substring
+        let commentText = newComment.text || '';
 
-      // Send notification to the notice author
-      const { sendNotificationToUser } = require('./notifications');
+        // Handle the case where text might be in a different property
+        if (!commentText && newComment.content) {
+          commentText = newComment.content;
+          console.log(`[COMMENT DEBUG] Using 'content' property instead of 'text' for comment ${newComment.id}`);
+        }
 
-      // Make sure text exists and is a string before using substring
-      let commentText = latestComment.text || '';
+        // Check if comment text is empty
+        if (!commentText || commentText.trim() === '') {
+          console.log(`[COMMENT DEBUG] WARNING: Empty comment text for comment ${newComment.id}`);
+          commentText = "(No comment text)";
+        }
 
-      // Handle the case where text might be in a different property
-      if (!commentText && latestComment.content) {
-        commentText = latestComment.content;
-        console.log(`[COMMENT DEBUG] Using 'content' property instead of 'text' for comment ${latestComment.id}`);
-      }
+        // Ensure string type
+        commentText = String(commentText);
 
-      // Check if comment text is empty
-      if (!commentText || commentText.trim() === '') {
-        console.log(`[COMMENT DEBUG] WARNING: Empty comment text for comment ${latestComment.id}`);
-        commentText = "(No comment text)";
-      }
+        console.log(`[COMMENT DEBUG] Sending notification with comment text: "${commentText.substring(0, 50)}"`);
 
-      // Ensure string type
-      commentText = String(commentText);
-
-      // Truncate long comments
-      const truncatedText = `"${commentText.substring(0, 50)}${commentText.length > 50 ? '...' : ''}"`;
-
-      console.log(`[COMMENT DEBUG] Sending notification with comment text: ${truncatedText}`);
-
-      await sendNotificationToUser(
-        noticeData.authorId,
-        'New Comment on Your Notice',
-        `${latestComment.authorName || 'Someone'} commented: ${truncatedText}`,
-        {
-          type: 'socialInteractions',
-          noticeId,
-          commentId: latestComment.id,
-          communityId: noticeData.communityId,
-          authorId: latestComment.authorId,
-          commentText: commentText.substring(0, 100) // Include comment text in the data payload
-        }
-      );
+        await queueUserNotification(
+          noticeData.authorId,
+          null,
+          null,
+          {
+            type: 'socialInteractions',
+            noticeId,
+            commentId: newComment.id,
+            communityId: noticeData.communityId,
+            authorId: newComment.authorId,
+            commentText: commentText.substring(0, 100) // Include comment text in the data payload
+          },
+          {
+            template: {
+              key: 'notice_comment',
+              params: { commenterName: newComment.authorName, commentText },
+            },
+          }
+        );
+      });
     } catch (error) {
       console.error('Error processing new comment:', error);
     }
@@ -268,47 +237,36 @@ const monitorCommunityNoticeLikes = () => {
       // Get all likes
       const likes = noticeData.likes || {};
 
-      // Find likes added in the last 10 seconds
-      const now = Date.now();
-      const recentLikes = Object.entries(likes)
-        .filter(([_, likeData]) => {
-          const createdAt = likeData.createdAt || 0;
-          return (now - createdAt) < 10000; // 10 seconds
-        })
-        .map(([userId, _]) => userId);
-
-      if (recentLikes.length === 0) {
-        return;
-      }
+      // Process likes not yet in the ledger (a user liking the notice again is not a new event)
+      await processEvents(Object.entries(likes).map(([userId, likeData]) => ({
+        key: getEventKey('noticeLike', noticeId, userId),
+        occurredAt: likeData.createdAt || 0,
+        source: 'monitorCommunityNoticeLikes',
+        userId,
+      })), async ({ userId: likerId }) => {
+        console.log(`[NOTICE_LIKE DEBUG] New like detected on notice ${noticeId} by ${likerId}`);
+        console.log(`[NOTICE_LIKE DEBUG] Notice author: ${noticeData.authorId || 'unknown'}`);
 
-      console.log(`[NOTICE_LIKE DEBUG] Recent likes detected on notice ${noticeId}: ${recentLikes.join(', ')}`);
-      console.log(`[NOTICE_LIKE DEBUG] Notice author: ${noticeData.authorId || 'unknown'}`);
+        // Check if the liker or the author is an admin (for debugging)
+        let authorIsAdmin = false;
+        let likerIsAdmin = false;
 
-      // Check if any of the likers or the author is an admin (for debugging)
-      // Define authorIsAdmin and likerIsAdmin variables at a wider scope
-      let authorIsAdmin = false;
-      let likerIsAdmin = false;
-
-      try {
-        const authorDocRef = await firestore.collection('users').doc(noticeData.authorId).get();
-        authorIsAdmin = authorDocRef.exists && (authorDocRef.data().isAdmin || authorDocRef.data().role === 'admin');
+        try {
+          const authorDocRef = await firestore.collection('users').doc(noticeData.authorId).get();
+          authorIsAdmin = authorDocRef.exists && (authorDocRef.data().isAdmin || authorDocRef.data().role === 'admin');
 
-        if (authorIsAdmin) {
-          console.log(`[NOTICE_LIKE DEBUG] Notice author ${noticeData.authorId} is an admin`);
+          if (authorIsAdmin) {
+            console.log(`[NOTICE_LIKE DEBUG] Notice author ${noticeData.authorId} is an admin`);
+          }
+        } catch (error) {
+          console.error(`[NOTICE_LIKE ERROR] Error checking author admin status: ${error.message}`);
         }
 
-        // We'll set likerIsAdmin for the current liker inside the loop below
-      } catch (error) {
-        console.error(`[NOTICE_LIKE ERROR] Error checking author admin status: ${error.message}`);
-      }
-
-      // Process each recent like
-      for (const likerId of recentLikes) {
         // Double check to avoid self-notifications
         // Don't send notification if the liker is the same as the notice author
         if (likerId === noticeData.authorId) {
           console.log(`[NOTICE_LIKE DEBUG] Skipping notification as user ${likerId} liked their own notice`);
-          continue;
+          return;
         }
 
         console.log(`New like detected on notice ${noticeId} by user ${likerId}`);
@@ -392,25 +350,27 @@ const monitorCommunityNoticeLikes = () => {
         const noticeTitle = noticeData.title || 'your notice';
 
         // Send notification to the notice author with admin flags
-        const { sendNotificationToUser } = require('./notifications');
-        await sendNotificationToUser(
+        const { queueUserNotification } = require('./queue');
+        await queueUserNotification(
           noticeData.authorId,
-          'New Like on Your Notice',
-          `${displayName} liked your notice: "${noticeTitle}"`,
+          null,
+          null,
           {
             type: 'socialInteractions',
             noticeId,
             communityId: noticeData.communityId,
             likerId: likerId,             // ID of the person who liked the post (the actor)
+            likerName: displayName,       // Used to aggregate repeated likes ("Maria and 9 others")
             noticeAuthorId: noticeData.authorId, // ID of the post author (recipient)
             noticeTitle: noticeTitle.substring(0, 30), // Include title in payload
             // Add admin flags to help with notification handling
             authorIsAdmin: authorIsAdmin ? 'true' : 'false',
             likerIsAdmin: likerIsAdmin ? 'true' : 'false',
             isUserAdmin: authorIsAdmin ? 'true' : 'false' // Mark if recipient is admin
-          }
+          },
+          { template: { key: 'notice_like', params: { likerName: displayName, noticeTitle: noticeData.title } } }
         );
-      }
+      });
     } catch (error) {
       console.error('Error processing new like:', error);
     }
@@ -442,45 +402,41 @@ const monitorMarketplaceItems = () => {
           return;
         }
 
-        // Get current time
-        const now = Date.now();
-        // Only process items created in the last 5 minutes
-        const recentItems = addedDocs.filter(item => {
-          // Check if item has createdAt timestamp
-          if (!item.createdAt) return false;
-
-          // Convert Firestore timestamp to milliseconds
-          const createdAtMs = item.createdAt.toMillis ?
-            item.createdAt.toMillis() :
-            (item.createdAt._seconds ? item.createdAt._seconds * 1000 : 0);
-
-          // Check if item was created in the last 5 minutes
-          return (now - createdAtMs) < 5 * 60 * 1000;
-        });
-
-        if (recentItems.length === 0) {
-          return;
-        }
-
-        for (const item of recentItems) {
+        // The first snapshot lists existing items too, so only items not yet in the ledger are new
+        await processEvents(addedDocs.map(item => ({
+          key: getEventKey('marketItem', item.id),
+          occurredAt: item.createdAt || 0,
+          source: 'monitorMarketplaceItems',
+          item,
+        })), async ({ item }) => {
           console.log(`New marketplace item detected: ${item.id} with status: ${item.status}`);
 
+          // Show the item's first photo with the notification
+          const imageUrl = pickImageUrl(item.imageUrls, item.images, item.imageUrl);
+
           // Case 1: Item is Active or Approved -> Notify Community
           if (item.status === 'active' || item.status === 'approved') {
             console.log(`Sending community notification for active item ${item.id}`);
             // Send notification to all users in the community except the seller
-            const { sendNotificationToCommunity } = require('./notifications');
-            await sendNotificationToCommunity(
+            const { queueCommunityNotification } = require('./queue');
+            await queueCommunityNotification(
               item.communityId,
-              'New Item in Marketplace',
-              `${item.sellerName} is selling: "${item.title}" for ${item.price}`,
+              null,
+              null,
               {
                 type: 'marketplace',
                 itemId: item.id,
                 communityId: item.communityId,
                 sellerId: item.sellerId,
+                ...(imageUrl && { imageUrl }),
               },
-              item.sellerId // Exclude the seller
+              item.sellerId, // Exclude the seller
+              {
+                template: {
+                  key: 'marketplace_new_item',
+                  params: { sellerName: item.sellerName, itemTitle: item.title, price: item.price },
+                },
+              }
             );
           } 
           // Case 2: Item is Pending -> Notify Admins
@@ -500,32 +456,39 @@ const monitorMarketplaceItems = () => {
 
             if (admins.length === 0) {
               console.log(`No admins found for community ${item.communityId} to notify about item ${item.id}`);
-              continue;
+              return;
             }
 
-            const { sendNotificationToUser } = require('./notifications');
+            const { queueUserNotification } = require('./queue');
             
             for (const adminDoc of admins) {
               // Skip if the seller is an admin (don't notify them of their own pending item)
               if (adminDoc.id === item.sellerId) continue;
 
               console.log(`Sending pending item notification to admin ${adminDoc.id}`);
-              await sendNotificationToUser(
+              await queueUserNotification(
                 adminDoc.id,
-                'New Item Pending Approval',
-                `${item.sellerName} posted: "${item.title}". Review it now.`,
+                null,
+                null,
                 {
                   type: 'marketplace',
                   itemId: item.id,
                   communityId: item.communityId,
                   sellerId: item.sellerId,
                   isForAdmin: 'true',
-                  action: 'review_item'
+                  action: 'review_item',
+                  ...(imageUrl && { imageUrl }),
+                },
+                {
+                  template: {
+                    key: 'marketplace_item_pending',
+                    params: { sellerName: item.sellerName, itemTitle: item.title },
+                  },
                 }
               );
             }
           }
-        }
+        });
       } catch (error) {
         console.error('Error processing new marketplace items:', error);
       }
@@ -536,22 +499,81 @@ const monitorMarketplaceItems = () => {
 const monitorChatMessages = () => {
   const db = getDatabase();
 
-  // Cache to track processed message IDs to prevent duplicates
-  // Key: messageId, Value: timestamp
-  const processedMessageIds = new Map();
-  
-  // Periodic cleanup of old message IDs from cache (every 5 minutes)
-  setInterval(() => {
-    const now = Date.now();
-    for (const [id, timestamp] of processedMessageIds.entries()) {
-      // Remove messages older than 2 minutes
-      if (now - timestamp > 2 * 60 * 1000) {
-        processedMessageIds.delete(id);
+  console.log('Starting monitoring for new chat messages...');
+
+  // Send a notification for one new message to the other participant
+  const processChatMessage = async (chatId, chatData, messageId, message) => {
+    // Check for either text or message property
+    const messageText = message.text || message.message;
+
+    if (!message.senderId || !messageText) {
+      return;
+    }
+
+    // Skip system messages
+    if (message.senderId === 'system') {
+      console.log(`[CHAT DEBUG] Skipping notification for system message in chat ${chatId}`);
+      return;
+    }
+
+    console.log(`New chat message detected in chat ${chatId}`);
+
+    // Determine the recipient
+    let recipientId;
+    if (chatData.buyerId && chatData.sellerId) {
+      recipientId = message.senderId === chatData.buyerId
+        ? chatData.sellerId
+        : chatData.buyerId;
+    } else {
+      // Fallback logic if buyerId/sellerId are missing from the chat object root
+      // For initial messages, the structure might be different or incomplete
+      console.log(`[CHAT DEBUG] Chat ${chatId} missing buyerId or sellerId. Analyzing message...`);
+
+      // If we know the sellerId (usually in chat structure), and sender is NOT seller, then recipient is seller
+      if (chatData.sellerId && message.senderId !== chatData.sellerId) {
+        recipientId = chatData.sellerId;
+      }
+      // If sender is seller, we need buyerId. If missing, we can't determine recipient easily without more context.
+      else if (chatData.sellerId && message.senderId === chatData.sellerId) {
+        // This case is harder if buyerId is missing.
+        // However, usually the first message is FROM the buyer TO the seller.
+        console.log(`[CHAT DEBUG] Sender is seller, but buyerId is missing. Cannot determine recipient.`);
       }
     }
-  }, 5 * 60 * 1000);
 
-  console.log('Starting monitoring for new chat messages...');
+    if (!recipientId) {
+      console.log(`[CHAT ERROR] Could not determine recipient for chat ${chatId}`);
+      return;
+    }
+
+    console.log(`[CHAT DEBUG] Sending notification to ${recipientId} from ${message.senderId}`);
+
+    // Get sender's name
+    const senderSnapshot = await db.ref(`/users/${message.senderId}`).once('value');
+    const senderData = senderSnapshot.val();
+    const senderName = senderData?.fullName || senderData?.username;
+
+    // Send notification to the recipient
+    const { queueUserNotification } = require('./queue');
+    await queueUserNotification(
+      recipientId,
+      null,
+      null,
+      {
+        type: 'chat',
+        chatId,
+        messageId,
+        senderId: message.senderId,
+        itemId: chatData.itemId,
+      },
+      {
+        template: {
+          key: 'chat_message',
+          params: { senderName, message: messageText },
+        },
+      }
+    );
+  };
 
   const processChatSnapshot = async (snapshot) => {
     try {
@@ -564,95 +586,20 @@ const monitorChatMessages = () => {
 
       // Get all messages
       const messages = chatData.messages || {};
-      const messageKeys = Object.keys(messages);
+      const messageKeys = Object.keys(messages).filter(messageId => messages[messageId]);
 
       if (messageKeys.length === 0) {
         return;
       }
 
-      // Get the latest message
-      const latestMessageKey = messageKeys[messageKeys.length - 1];
-      const latestMessage = messages[latestMessageKey];
-
-      // Check for either text or message property
-      const messageText = latestMessage.text || latestMessage.message;
-
-      if (!latestMessage || !latestMessage.senderId || !messageText) {
-        return;
-      }
-      
-      // Skip system messages
-      if (latestMessage.senderId === 'system') {
-        console.log(`[CHAT DEBUG] Skipping notification for system message in chat ${chatId}`);
-        return;
-      }
-      
-      // Check if we've already processed this message ID
-      if (processedMessageIds.has(latestMessageKey)) {
-        // console.log(`[CHAT DEBUG] Skipping duplicate notification for message ${latestMessageKey}`);
-        return;
-      }
-
-      // Check if the message was just added (within the last 10 seconds)
-      const now = Date.now();
-      if (latestMessage.timestamp && now - latestMessage.timestamp > 10000) {
-        return;
-      }
-
-      console.log(`New chat message detected in chat ${chatId} (Event type: ${snapshot.key === chatId ? 'child_added/changed' : 'unknown'})`);
-
-      // Add to processed cache immediately
-      processedMessageIds.set(latestMessageKey, now);
-
-      // Determine the recipient
-      let recipientId;
-      if (chatData.buyerId && chatData.sellerId) {
-        recipientId = latestMessage.senderId === chatData.buyerId
-          ? chatData.sellerId
-          : chatData.buyerId;
-      } else {
-        // Fallback logic if buyerId/sellerId are missing from the chat object root
-        // For initial messages, the structure might be different or incomplete
-        console.log(`[CHAT DEBUG] Chat ${chatId} missing buyerId or sellerId. Analyzing message...`);
-        
-        // If we know the sellerId (usually in chat structure), and sender is NOT seller, then recipient is seller
-        if (chatData.sellerId && latestMessage.senderId !== chatData.sellerId) {
-           recipientId = chatData.sellerId;
-        } 
-        // If sender is seller, we need buyerId. If missing, we can't determine recipient easily without more context.
-        else if (chatData.sellerId && latestMessage.senderId === chatData.sellerId) {
-           // This case is harder if buyerId is missing. 
-           // However, usually the first message is FROM the buyer TO the seller.
-           console.log(`[CHAT DEBUG] Sender is seller, but buyerId is missing. Cannot determine recipient.`);
-        }
-      }
-
-      if (!recipientId) {
-        console.log(`[CHAT ERROR] Could not determine recipient for chat ${chatId}`);
-        return;
-      }
-
-      console.log(`[CHAT DEBUG] Sending notification to ${recipientId} from ${latestMessage.senderId}`);
-
-      // Get sender's name
-      const senderSnapshot = await db.ref(`/users/${latestMessage.senderId}`).once('value');
-      const senderData = senderSnapshot.val();
-      const senderName = senderData?.fullName || senderData?.username || 'Someone';
-
-      // Send notification to the recipient
-      const { sendNotificationToUser } = require('./notifications');
-      await sendNotificationToUser(
-        recipientId,
-        'New Message',
-        `${senderName}: "${messageText.substring(0, 50)}${messageText.length > 50 ? '...' : ''}"`,
-        {
-          type: 'chat',
-          chatId,
-          messageId: latestMessageKey,
-          senderId: latestMessage.senderId,
-          itemId: chatData.itemId,
-        }
-      );
+      // Process messages not yet in the ledger; child_added replays every chat on startup
+      // Messages without a timestamp count as older than the ledger, so history is not replayed
+      await processEvents(messageKeys.map(messageId => ({
+        key: getEventKey('chat', chatId, messageId),
+        occurredAt: messages[messageId].timestamp || 0,
+        source: 'monitorChatMessages',
+        messageId,
+      })), ({ messageId }) => processChatMessage(chatId, chatData, messageId, messages[messageId]));
     } catch (error) {
       console.error('Error processing new chat message:', error);
     }
@@ -669,10 +616,6 @@ const monitorChatMessages = () => {
 const monitorNewReports = () => {
   const firestore = getFirestore();
 
-  // Store the server start time to filter out old reports
-  const serverStartTime = Date.now();
-  console.log(`[REPORT DEBUG] Server started at: ${new Date(serverStartTime).toISOString()}`);
-
   console.log('Starting monitoring for new reports...');
 
   // Listen for new reports
@@ -697,11 +640,8 @@ const monitorNewReports = () => {
           return;
         }
 
-        // Get current time
-        const now = Date.now();
-
-        // Process reports that have valid createdAt timestamp
-        const validReports = addedDocs.filter(report => {
+        // Process reports that have the required fields
+        const completeReports = addedDocs.filter(report => {
           console.log(`[REPORT DEBUG] Processing report ${report.id}`);
 
           // Check required fields
@@ -721,35 +661,18 @@ const monitorNewReports = () => {
             return false;
           }
 
-          // Convert Firestore timestamp to milliseconds
-          const createdAtMs = report.createdAt.toMillis ?
-            report.createdAt.toMillis() :
-            (report.createdAt._seconds ? report.createdAt._seconds * 1000 : 0);
-
-          // Skip reports created before server start (prevents duplicate notifications on restart)
-          if (createdAtMs < serverStartTime) {
-            console.log(`[REPORT DEBUG] Skipping report ${report.id} - created before server start`);
-            return false;
-          }
-
-          // Only process reports created in the last 5 minutes
-          if (now - createdAtMs > 5 * 60 * 1000) {
-            console.log(`[REPORT DEBUG] Skipping report ${report.id} - too old (${Math.floor((now - createdAtMs)/1000)} seconds)`);
-            return false;
-          }
-
-          console.log(`[REPORT DEBUG] Report ${report.id} created at: ${new Date(createdAtMs).toISOString()}`);
-          console.log(`[REPORT DEBUG] Report ${report.id} passed all checks, will send notification`);
           return true;
         });
 
-        console.log(`[REPORT DEBUG] ${validReports.length} reports passed filtering out of ${addedDocs.length} total`);
+        console.log(`[REPORT DEBUG] ${completeReports.length} reports passed filtering out of ${addedDocs.length} total`);
 
-        if (validReports.length === 0) {
-          return;
-        }
-
-        for (const report of validReports) {
+        // The first snapshot lists existing reports too, so only reports not yet in the ledger are new
+        await processEvents(completeReports.map(report => ({
+          key: getEventKey('report', report.id),
+          occurredAt: report.createdAt,
+          source: 'monitorNewReports',
+          report,
+        })), async ({ report }) => {
           console.log(`[REPORT DEBUG] Preparing to send notification for report: ${report.id}`);
           console.log(`[REPORT DEBUG] Community ID: ${report.communityId}`);
           console.log(`[REPORT DEBUG] Reporter ID: ${report.userId}`);
@@ -767,7 +690,7 @@ const monitorNewReports = () => {
 
             if (communityUsers.empty) {
               console.log(`[REPORT DEBUG] No users found for community ${report.communityId}`);
-              continue;
+              return;
             }
 
             // Filter for admins from the community users
@@ -780,11 +703,11 @@ const monitorNewReports = () => {
 
             if (communityAdmins.length === 0) {
               console.log(`[REPORT DEBUG] No admins found for community ${report.communityId}`);
-              continue;
+              return;
             }
 
             // Send notification to each admin
-            const { sendNotificationToUser } = require('./notifications');
+            const { queueUserNotification } = require('./queue');
             
             for (const adminDoc of communityAdmins) {
               const adminId = adminDoc.id;
@@ -797,10 +720,10 @@ const monitorNewReports = () => {
 
               console.log(`[REPORT DEBUG] Sending notification to admin ${adminId}`);
               
-              await sendNotificationToUser(
+              await queueUserNotification(
                 adminId,
-                'New Community Report',
-                `A new report has been submitted: "${report.issueType}"${report.description ? ` - ${report.description.substring(0, 50)}${report.description.length > 50 ? '...' : ''}` : ''}`,
+                null,
+                null,
                 {
                   type: 'reports',
                   reportId: report.id,
@@ -809,7 +732,17 @@ const monitorNewReports = () => {
                   issueType: report.issueType,
                   priority: 'high',
                   forceAlert: 'true',
+                  action: 'review_report',
                   timestamp: Date.now()
+                },
+                {
+                  template: {
+                    key: 'report_new',
+                    params: {
+                      issueType: report.issueType,
+                      details: report.description ? ` - ${report.description.substring(0, 50)}${report.description.length > 50 ? '...' : ''}` : '',
+                    },
+                  },
                 }
               );
             }
@@ -817,8 +750,10 @@ const monitorNewReports = () => {
             console.log(`[REPORT DEBUG] Notifications sent for report ${report.id}`);
           } catch (error) {
             console.error(`[REPORT ERROR] Failed to send notification for report ${report.id}:`, error);
+            // Releases the claim so the report is picked up again
+            throw error;
           }
-        }
+        });
       } catch (error) {
         console.error('[REPORT ERROR] Error processing new reports:', error);
       }
@@ -829,7 +764,8 @@ const monitorNewReports = () => {
 const monitorReportStatusUpdates = () => {
   const firestore = getFirestore();
 
-  // Track previous status of reports to detect changes
+  // Last status seen per report, to skip edits that leave the status alone and to show the
+  // previous status; which changes were notified is kept in the ledger, so it survives restarts
   const reportStatusCache = new Map();
   let isInitialized = false;
 
@@ -841,69 +777,71 @@ const monitorReportStatusUpdates = () => {
       try {
         console.log('[REPORT STATUS DEBUG] Received report status snapshot');
         
-        // On first snapshot, initialize the cache with all existing reports
-        if (!isInitialized) {
-          console.log('[REPORT STATUS DEBUG] Initializing cache with existing reports...');
-          snapshot.docs.forEach(doc => {
-            const data = doc.data();
-            if (data.status) {
-              reportStatusCache.set(doc.id, data.status);
-              console.log(`[REPORT STATUS DEBUG] Cached initial status for report ${doc.id}: ${data.status}`);
-            }
-          });
-          isInitialized = true;
-          console.log(`[REPORT STATUS DEBUG] Cache initialized with ${reportStatusCache.size} reports`);
-          return; // Don't process changes on first snapshot
-        }
-        
-        // Process only modified documents
-        const modifiedDocs = snapshot.docChanges()
-          .filter(change => {
-            // Only process server-side modifications (not local writes)
-            const isModified = change.type === 'modified';
-            const isLocal = change.doc.metadata?.hasPendingWrites ?? false;
-            return isModified && !isLocal;
-          })
-          .map(change => ({
-            id: change.doc.id,
-            ...change.doc.data()
-          }));
+        // The first snapshot lists every report: it fills the cache and catches status changes made
+        // while the server was down
+        const initialSnapshot = !isInitialized;
+        isInitialized = true;
+
+        const changedReports = [];
+        const pendingReports = [];
+        const caughtUpReports = [];
+        for (const change of snapshot.docChanges()) {
+          // Only process server-side changes (not local writes)
+          if (change.doc.metadata?.hasPendingWrites) continue;
+          if (change.type === 'removed') {
+            reportStatusCache.delete(change.doc.id);
+            continue;
+          }
 
-        console.log(`[REPORT STATUS DEBUG] Found ${modifiedDocs.length} modified reports`);
+          const report = { id: change.doc.id, ...change.doc.data() };
+          const previousStatus = reportStatusCache.get(report.id);
+          reportStatusCache.set(report.id, report.status);
 
-        if (modifiedDocs.length === 0) {
-          return;
+          if (!report.status) continue;
+          if (report.status === 'pending') {
+            pendingReports.push(report);
+          }
+          if (initialSnapshot) {
+            if (report.status !== 'pending') {
+              caughtUpReports.push(report);
+            }
+            continue;
+          }
+          if (change.type !== 'modified' || previousStatus === report.status) continue;
+          // New reports are pending, and are notified to admins by monitorNewReports
+          if (report.status === 'pending' && !previousStatus) continue;
+
+          changedReports.push({ report, previousStatus, occurredAt: Date.now() });
         }
 
-        for (const report of modifiedDocs) {
-          const reportId = report.id;
-          const currentStatus = report.status;
-          const previousStatus = reportStatusCache.get(reportId);
+        // Record the reports seen waiting, so a status change made while the server is down can be
+        // told apart from an edit to a report that was handled long ago
+        await processEvents(pendingReports.map(report => ({
+          key: getEventKey('reportPending', report.id),
+          source: 'monitorReportStatusUpdates',
+        })), async () => {});
+
+        // A report found with a new status after a restart changed while the server was down if it
+        // was seen waiting since the ledger started; the ledger skips changes already notified
+        if (caughtUpReports.length > 0) {
+          const seenPending = await findRecordedEvents(
+            caughtUpReports.map(report => getEventKey('reportPending', report.id))
+          );
+          caughtUpReports
+            .filter(report => seenPending.has(getEventKey('reportPending', report.id)))
+            .forEach(report => changedReports.push({ report, occurredAt: report.updatedAt || Date.now() }));
+        }
 
-          console.log(`[REPORT STATUS DEBUG] Report ${reportId}: previous="${previousStatus}", current="${currentStatus}"`);
+        changedReports.forEach((event) => {
+          event.key = getEventKey('reportStatus', event.report.id, event.report.status);
+          event.source = 'monitorReportStatusUpdates';
+        });
 
-          // If we haven't seen this report before, cache it but don't skip notification
-          // This handles the case where the server starts after a report was created
-          if (!previousStatus) {
-            console.log(`[REPORT STATUS DEBUG] First time seeing report ${reportId} in changes, caching status: ${currentStatus}`);
-            reportStatusCache.set(reportId, currentStatus);
-            
-            // If status is not "pending", it means the report was updated while server was offline
-            // We should still send notification for non-pending statuses
-            if (currentStatus !== 'pending') {
-              console.log(`[REPORT STATUS DEBUG] Status is not pending (${currentStatus}), will send notification`);
-              // Don't skip - continue to send notification
-            } else {
-              console.log(`[REPORT STATUS DEBUG] Status is pending, skipping notification for new report`);
-              continue;
-            }
-          }
+        console.log(`[REPORT STATUS DEBUG] Found ${changedReports.length} report status changes`);
 
-          // Check if status has changed (only if we have a previous status)
-          if (previousStatus && currentStatus === previousStatus) {
-            console.log(`[REPORT STATUS DEBUG] No status change for report ${reportId}`);
-            continue;
-          }
+        await processEvents(changedReports, async ({ report, previousStatus }) => {
+          const reportId = report.id;
+          const currentStatus = report.status;
 
           if (previousStatus) {
             console.log(`[REPORT STATUS DEBUG] Report status update detected for report ${reportId}: ${previousStatus} -> ${currentStatus}`);
@@ -911,13 +849,15 @@ const monitorReportStatusUpdates = () => {
             console.log(`[REPORT STATUS DEBUG] Report status detected for report ${reportId}: ${currentStatus} (no previous status cached)`);
           }
 
-          // Update the cache with new status
-          reportStatusCache.set(reportId, currentStatus);
+          // Refresh the reporter's cached copy even if no alert goes out below
+          if (report.userId) {
+            sendSyncHint(report.userId, 'reports', reportId, { status: currentStatus });
+          }
 
           // Validate required fields before sending notification
           if (!report.userId) {
             console.log(`[REPORT STATUS ERROR] Report ${reportId} missing userId, cannot send notification`);
-            continue;
+            return;
           }
 
           if (!report.issueType) {
@@ -941,15 +881,22 @@ const monitorReportStatusUpdates = () => {
             // If recipient is admin and they updated it themselves, skip notification
             if (report.updatedBy === report.userId) {
               console.log(`[REPORT STATUS DEBUG] Skipping notification - admin ${report.userId} updated their own report`);
-              continue;
+              return;
             }
           }
 
+          // The inbox record is stored here, so render it in the reporter's locale up front
+          const template = {
+            key: 'report_status',
+            params: { issueType: report.issueType, status: formattedStatus },
+          };
+          const { title, body } = renderTemplate(template.key, await getLocaleForUser(report.userId), template.params);
+
           // Store the notification in Firestore for the notification UI
           // Store in community_notifications to be consistent with other notifications
           const notificationData = {
-            title: 'Report Status Updated',
-            body: `Your report "${report.issueType || 'Community Issue'}" has been updated to: ${formattedStatus}`,
+            title,
+            body,
             type: 'reports',
             data: {
               reportId: report.id,
@@ -988,11 +935,11 @@ const monitorReportStatusUpdates = () => {
           }
 
           // Send FCM push notification to the report creator
-          const { sendNotificationToUser } = require('./notifications');
-          await sendNotificationToUser(
+          const { queueUserNotification } = require('./queue');
+          await queueUserNotification(
             report.userId,
-            'Report Status Updated',
-            `Your report "${report.issueType || 'Community Issue'}" has been updated to: ${formattedStatus}`,
+            title,
+            body,
             {
               type: 'reports',
               reportId: report.id,
@@ -1007,7 +954,7 @@ const monitorReportStatusUpdates = () => {
           );
 
           console.log(`[REPORT STATUS DEBUG] Successfully sent status update notification for report ${reportId}`);
-        }
+        });
       } catch (error) {
         console.error('[REPORT STATUS ERROR] Error processing report status updates:', error);
       }
@@ -1018,10 +965,6 @@ const monitorReportStatusUpdates = () => {
 const monitorVolunteerPosts = () => {
   const firestore = getFirestore();
 
-  // Store the server start time to filter out old posts
-  const serverStartTime = Date.now();
-  console.log(`[VOLUNTEER DEBUG] Server started at: ${new Date(serverStartTime).toISOString()}`);
-
   console.log('Starting monitoring for new volunteer posts...');
 
   // Listen for new volunteer posts
@@ -1050,7 +993,7 @@ const monitorVolunteerPosts = () => {
         const now = Date.now();
 
         // Process all posts that have a valid date timestamp
-        const validPosts = addedDocs.filter(post => {
+        const completePosts = addedDocs.filter(post => {
           console.log(`[VOLUNTEER DEBUG] Processing post ${post.id}`);
           console.log('[VOLUNTEER DEBUG] Full post data:', JSON.stringify(post, null, 2));
 
@@ -1072,25 +1015,6 @@ const monitorVolunteerPosts = () => {
             return false;
           }
 
-          // Convert Firestore timestamp to milliseconds
-          const createdAtMs = post.date.toMillis ?
-            post.date.toMillis() :
-            (post.date._seconds ? post.date._seconds * 1000 : 0);
-
-          // Skip posts created before server start (prevents duplicate notifications on restart)
-          if (createdAtMs < serverStartTime) {
-            console.log(`[VOLUNTEER DEBUG] Skipping post ${post.id} - created before server start`);
-            return false;
-          }
-
-          // Only process posts created in the last 5 minutes
-          if (now - createdAtMs > 5 * 60 * 1000) {
-            console.log(`[VOLUNTEER DEBUG] Skipping post ${post.id} - too old (${Math.floor((now - createdAtMs)/1000)} seconds)`);
-            return false;
-          }
-
-          console.log(`[VOLUNTEER DEBUG] Post ${post.id} created at: ${new Date(createdAtMs).toISOString()}`);
-
           // Check if the event date is valid and in the future
           if (post.eventDate) {
             const eventDateMs = post.eventDate.toMillis ?
@@ -1103,29 +1027,31 @@ const monitorVolunteerPosts = () => {
             }
           }
 
-          console.log(`[VOLUNTEER DEBUG] Post ${post.id} passed all checks, will send notification`);
+          console.log(`[VOLUNTEER DEBUG] Post ${post.id} passed all checks`);
           return true;
         });
 
-        console.log(`[VOLUNTEER DEBUG] ${validPosts.length} posts passed filtering out of ${addedDocs.length} total`);
+        console.log(`[VOLUNTEER DEBUG] ${completePosts.length} posts passed filtering out of ${addedDocs.length} total`);
 
-        if (validPosts.length === 0) {
-          return;
-        }
-
-        for (const post of validPosts) {
+        // The first snapshot lists existing posts too, so only posts not yet in the ledger are new
+        await processEvents(completePosts.map(post => ({
+          key: getEventKey('volunteerPost', post.id),
+          occurredAt: post.date,
+          source: 'monitorVolunteerPosts',
+          post,
+        })), async ({ post }) => {
           console.log(`[VOLUNTEER DEBUG] Preparing to send notification for post: ${post.id}`);
           console.log(`[VOLUNTEER DEBUG] Community ID: ${post.communityId}`);
           console.log(`[VOLUNTEER DEBUG] Post Creator: ${post.adminName || post.userName || 'Someone'}`);
           console.log(`[VOLUNTEER DEBUG] Post Creator ID: ${post.adminId || post.userId}`);
 
           // Send notification to all users in the community except the creator
-          const { sendNotificationToCommunity } = require('./notifications');
+          const { queueCommunityNotification } = require('./queue');
           try {
-            const result = await sendNotificationToCommunity(
+            const result = await queueCommunityNotification(
               post.communityId,
-              'New Volunteer Opportunity',
-              `${post.adminName || post.userName || 'Someone'} posted: "${post.title}"`,
+              null,
+              null,
               {
                 type: 'volunteer',
                 volunteerId: post.id,
@@ -1136,54 +1062,28 @@ const monitorVolunteerPosts = () => {
                 forceAlert: 'true',
                 timestamp: Date.now()
               },
-              post.adminId || post.userId
+              post.adminId || post.userId,
+              {
+                template: {
+                  key: 'volunteer_post',
+                  params: { creatorName: post.adminName || post.userName, postTitle: post.title },
+                },
+              }
             );
 
             console.log(`[VOLUNTEER DEBUG] Notification result for post ${post.id}:`, result);
           } catch (error) {
             console.error(`[VOLUNTEER ERROR] Failed to send notification for post ${post.id}:`, error);
+            // Releases the claim so the post is picked up again
+            throw error;
           }
-        }
+        });
       } catch (error) {
         console.error('[VOLUNTEER ERROR] Error processing new volunteer posts:', error);
       }
     });
 };
 
-// Helper function to get persistent tracking data from Firestore
-const getTrackingData = async (firestore, postId) => {
-  try {
-    const trackingDoc = await firestore.collection('volunteer_tracking').doc(postId).get();
-    if (trackingDoc.exists) {
-      const data = trackingDoc.data();
-      return {
-        processedUsers: new Set(data.processedUsers || []),
-        previousJoinedUsers: data.previousJoinedUsers || []
-      };
-    }
-  } catch (error) {
-    console.error(`[VOLUNTEER JOIN ERROR] Error getting tracking data for post ${postId}:`, error);
-  }
-
-  return {
-    processedUsers: new Set(),
-    previousJoinedUsers: []
-  };
-};
-
-// Helper function to save persistent tracking data to Firestore
-const saveTrackingData = async (firestore, postId, processedUsers, previousJoinedUsers) => {
-  try {
-    await firestore.collection('volunteer_tracking').doc(postId).set({
-      processedUsers: Array.from(processedUsers),
-      previousJoinedUsers: previousJoinedUsers,
-      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-    });
-  } catch (error) {
-    console.error(`[VOLUNTEER JOIN ERROR] Error saving tracking data for post ${postId}:`, error);
-  }
-};
-
 // Monitor for users joining volunteer posts
 const monitorVolunteerPostJoins = () => {
   const firestore = getFirestore();
@@ -1191,9 +1091,10 @@ const monitorVolunteerPostJoins = () => {
   // Generate unique instance ID to detect multiple instances
   const instanceId = `instance_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
 
-  // Track server startup time to prevent false notifications immediately after restart
-  const serverStartTime = Date.now();
-  const STARTUP_GRACE_PERIOD = 30 * 1000; // 30 seconds
+  // Joined users last seen per post, to tell new joiners and cancellations apart; which joins were
+  // notified is kept in the ledger, so it survives restarts
+  const joinedUsersCache = new Map();
+  let isInitialized = false;
 
   console.log(`[VOLUNTEER JOIN DEBUG] Starting monitoring for users joining volunteer posts... Instance ID: ${instanceId}`);
 
@@ -1203,47 +1104,27 @@ const monitorVolunteerPostJoins = () => {
       try {
         console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Processing volunteer post changes`);
 
-        // Process all document changes
-        const changes = snapshot.docChanges();
-
-        // Process modified documents
-        const modifiedDocs = changes
-          .filter(change => {
-            // Only process 'modified' changes that are not local
-            const isModified = change.type === 'modified';
-            const isLocal = change.doc.metadata?.hasPendingWrites ?? false;
-            console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Change type: ${change.type}, isLocal: ${isLocal}, docId: ${change.doc.id}`);
-            return isModified && !isLocal;
-          })
-          .map(change => {
-            const docData = change.doc.data();
-            const docId = change.doc.id;
-            console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Mapping document ${docId} with data:`, Object.keys(docData));
-            return {
-              id: docId,
-              ...docData
-            };
-          });
-
-        console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Found ${modifiedDocs.length} modified volunteer posts`);
+        // The first snapshot lists every post: it fills the cache and catches joins made while the
+        // server was down (the ledger skips joins already notified or from before it started)
+        const initialSnapshot = !isInitialized;
+        isInitialized = true;
 
-        if (modifiedDocs.length === 0) {
-          return;
-        }
+        const joins = [];
+        for (const change of snapshot.docChanges()) {
+          if (change.type === 'removed') {
+            joinedUsersCache.delete(change.doc.id);
+            continue;
+          }
 
-        for (const post of modifiedDocs) {
-          console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Processing changes for post: ${post.id}`);
-          console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Post title: "${post.title}"`);
-          console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Post creator (adminId): ${post.adminId}`);
+          // Only process changes that are not local
+          if (change.doc.metadata?.hasPendingWrites) continue;
 
-          // Add additional debugging to understand the post structure
-          console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Full post data:`, JSON.stringify(post, null, 2));
+          const post = { id: change.doc.id, ...change.doc.data() };
+          const currentJoinedUsers = Array.isArray(post.joinedUsers) ? post.joinedUsers : [];
+          const previousUsers = joinedUsersCache.get(post.id);
+          joinedUsersCache.set(post.id, currentJoinedUsers);
 
-          // Skip if we don't have a valid post ID
-          if (!post.id || post.id.trim() === '') {
-            console.log(`[VOLUNTEER JOIN ERROR] [${instanceId}] Post is missing valid ID, skipping. Post data:`, JSON.stringify(post, null, 2));
-            continue;
-          }
+          if (!initialSnapshot && change.type !== 'modified') continue;
 
           // Skip if we don't have the admin ID
           if (!post.adminId) {
@@ -1251,170 +1132,96 @@ const monitorVolunteerPostJoins = () => {
             continue;
           }
 
-          // Get the current joined users
-          const currentJoinedUsers = Array.isArray(post.joinedUsers) ? post.joinedUsers : [];
-
-          console.log(`[VOLUNTEER JOIN DEBUG] Current joined users: [${currentJoinedUsers.join(', ')}]`);
-
-          // Get persistent tracking data from Firestore
-          console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Loading tracking data for post ${post.id} from Firestore...`);
-          const trackingData = await getTrackingData(firestore, post.id);
-          const alreadyProcessed = trackingData.processedUsers;
-          const previousUsers = trackingData.previousJoinedUsers;
-
-          console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Loaded from Firestore - Already processed users: [${Array.from(alreadyProcessed).join(', ')}]`);
-          console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Loaded from Firestore - Previous joined users: [${previousUsers.join(', ')}]`);
-
-          // If this is the first time we have tracking data for this post, we need to be smart about initialization
-          if (previousUsers.length === 0 && alreadyProcessed.size === 0) {
-            console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] First time tracking post ${post.id}, initializing tracking`);
-
-            const timeSinceServerStart = Date.now() - serverStartTime;
-
-            // If we're within the startup grace period, be conservative to avoid false notifications
-            if (timeSinceServerStart < STARTUP_GRACE_PERIOD && currentJoinedUsers.length > 0) {
-              console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Within startup grace period (${timeSinceServerStart}ms < ${STARTUP_GRACE_PERIOD}ms) - marking existing users as processed`);
-
-              // Mark all current users as already processed to prevent false notifications on startup
-              currentJoinedUsers.forEach(userId => {
-                if (userId !== post.adminId) {
-                  alreadyProcessed.add(userId);
-                }
-              });
-
-              await saveTrackingData(firestore, post.id, alreadyProcessed, currentJoinedUsers);
-              console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Initialized tracking for post ${post.id} (startup grace period), skipping notifications for existing users`);
-              continue;
-            } else {
-              console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Past startup grace period (${timeSinceServerStart}ms >= ${STARTUP_GRACE_PERIOD}ms) - will process current users as potential new joiners`);
-
-              // Initialize with empty previous state so current users will be detected as new
-              await saveTrackingData(firestore, post.id, alreadyProcessed, []);
-            }
-          }
-
-          console.log(`[VOLUNTEER JOIN DEBUG] Already processed users for post ${post.id}: [${Array.from(alreadyProcessed).join(', ')}]`);
-          console.log(`[VOLUNTEER JOIN DEBUG] Previous joined users for post ${post.id}: [${previousUsers.join(', ')}]`);
-
-          // Find users who were added since the last snapshot (actual new joiners)
-          const actualNewJoiners = currentJoinedUsers.filter(userId => {
-            // Skip if the joined user is the post creator
-            if (userId === post.adminId) {
-              console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Skipping post creator ${userId} for post ${post.id}`);
-              return false;
-            }
-
-            const wasInPrevious = previousUsers.includes(userId);
-            const alreadyNotified = alreadyProcessed.has(userId);
-
-            console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] User ${userId}: wasInPrevious=${wasInPrevious}, alreadyNotified=${alreadyNotified}`);
-
-            // Only include users who weren't in the previous snapshot AND haven't been processed yet
-            // This handles both new joins and prevents duplicates on server restart
-            return !wasInPrevious && !alreadyNotified;
-          });
-
-          // Find users who were removed since the last snapshot (cancellations)
-          const removedUsers = previousUsers.filter(userId => {
-            return !currentJoinedUsers.includes(userId);
-          });
-
-          console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Actual new joiners found: [${actualNewJoiners.join(', ')}]`);
-          console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Users who left/cancelled: [${removedUsers.join(', ')}]`);
-
-          // Handle cancellations - remove from processed users so they can rejoin later
+          // Users who cancelled can be notified again when they rejoin
+          const removedUsers = (previousUsers || []).filter(userId => !currentJoinedUsers.includes(userId));
           if (removedUsers.length > 0) {
-            console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Cleaning up processed users for cancellations: [${removedUsers.join(', ')}]`);
-            removedUsers.forEach(userId => {
-              alreadyProcessed.delete(userId);
-            });
+            console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Users who left/cancelled post ${post.id}: [${removedUsers.join(', ')}]`);
+            await Promise.all(removedUsers.map(userId => releaseEvent(getEventKey('volunteerJoin', post.id, userId))));
           }
 
-          // Update the tracking data in Firestore
-          await saveTrackingData(firestore, post.id, alreadyProcessed, currentJoinedUsers);
-
-          if (actualNewJoiners.length === 0) {
-            console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] No actual new joiners for post ${post.id}, skipping notifications`);
-            continue;
+          // Find users who were added since the last snapshot, skipping the post creator
+          const newJoiners = currentJoinedUsers.filter(userId =>
+            userId !== post.adminId && !(previousUsers || []).includes(userId)
+          );
+          if (newJoiners.length > 0) {
+            console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Possible new joiners for post ${post.id}: [${newJoiners.join(', ')}]`);
           }
 
-          // Process only the actual new joiners
-          for (const newJoiner of actualNewJoiners) {
-            try {
-              // Get user's name from Realtime Database first
-              const db = getDatabase();
-              let userName = 'Someone';
-              try {
-                const userSnapshot = await db.ref(`/users/${newJoiner}`).once('value');
-                const userData = userSnapshot.val();
-                if (userData) {
-                  userName = userData.fullName || userData.displayName || userData.username || userName;
-                } else {
-                  // Fallback to Firestore if not found in RTDB
-                  const userDoc = await firestore.collection('users').doc(newJoiner).get();
-                  if (userDoc.exists) {
-                    const firestoreData = userDoc.data();
-                    userName = firestoreData.fullName || firestoreData.displayName || firestoreData.username || userName;
-                  }
-                }
-              } catch (nameError) {
-                console.error(`[VOLUNTEER JOIN ERROR] Error getting user name: ${nameError}`);
-              }
-
-              console.log(`[VOLUNTEER JOIN DEBUG] Sending notification about NEW joiner ${userName} (${newJoiner}) to admin ${post.adminId}`);
-
-              // Send notification to the post creator (admin)
-              const { sendNotificationToUser } = require('./notifications');
-              await sendNotificationToUser(
-                post.adminId,
-                'New Volunteer Joined',
-                `${userName} joined your volunteer post: "${post.title}"`,
-                {
-                  type: 'volunteer',
-                  volunteerId: post.id,
-                  postId: post.id,
-                  communityId: post.communityId,
-                  joinerId: newJoiner,
-                  priority: 'high',
-                  forceAlert: 'true',
-                  timestamp: Date.now()
-                }
-              );
+          newJoiners.forEach(userId => joins.push({
+            key: getEventKey('volunteerJoin', post.id, userId),
+            // Joins seen live happen now; for the first snapshot, the post's last update tells whether
+            // the joins are recent enough (posts without it are treated as old)
+            occurredAt: initialSnapshot ? (post.updatedAt || 0) : Date.now(),
+            source: 'monitorVolunteerPostJoins',
+            post,
+            newJoiner: userId,
+          }));
+        }
 
-              console.log(`[VOLUNTEER JOIN DEBUG] Successfully sent notification for post ${post.id} to admin ${post.adminId}`);
+        await processEvents(joins, async ({ post, newJoiner }) => {
+          // Get user's name from Realtime Database first
+          const db = getDatabase();
+          let userName = 'Someone';
+          try {
+            const userSnapshot = await db.ref(`/users/${newJoiner}`).once('value');
+            const userData = userSnapshot.val();
+            if (userData) {
+              userName = userData.fullName || userData.displayName || userData.username || userName;
+            } else {
+              // Fallback to Firestore if not found in RTDB
+              const userDoc = await firestore.collection('users').doc(newJoiner).get();
+              if (userDoc.exists) {
+                const firestoreData = userDoc.data();
+                userName = firestoreData.fullName || firestoreData.displayName || firestoreData.username || userName;
+              }
+            }
+          } catch (nameError) {
+            console.error(`[VOLUNTEER JOIN ERROR] Error getting user name: ${nameError}`);
+          }
 
-              // Also send a confirmation notification to the joiner
-              await sendNotificationToUser(
-                newJoiner,
-                'Joined Volunteer Post',
-                `You have successfully joined the volunteer post: "${post.title}"`,
-                {
-                  type: 'volunteer',
-                  volunteerId: post.id,
-                  postId: post.id,
-                  communityId: post.communityId,
-                  status: 'joined',
-                  priority: 'high',
-                  forceAlert: 'true',
-                  timestamp: Date.now()
-                }
-              );
+          console.log(`[VOLUNTEER JOIN DEBUG] Sending notification about NEW joiner ${userName} (${newJoiner}) to admin ${post.adminId}`);
 
-              console.log(`[VOLUNTEER JOIN DEBUG] Successfully sent confirmation notification to joiner ${newJoiner}`);
+          // Send notification to the post creator (admin)
+          const { queueUserNotification } = require('./queue');
+          await queueUserNotification(
+            post.adminId,
+            null,
+            null,
+            {
+              type: 'volunteer',
+              volunteerId: post.id,
+              postId: post.id,
+              communityId: post.communityId,
+              joinerId: newJoiner,
+              priority: 'high',
+              forceAlert: 'true',
+              timestamp: Date.now()
+            },
+            { template: { key: 'volunteer_joined', params: { userName, postTitle: post.title } } }
+          );
 
-              // Mark this user as processed for this post
-              alreadyProcessed.add(newJoiner);
-              console.log(`[VOLUNTEER JOIN DEBUG] [${instanceId}] Marked user ${newJoiner} as processed for post ${post.id}`);
+          console.log(`[VOLUNTEER JOIN DEBUG] Successfully sent notification for post ${post.id} to admin ${post.adminId}`);
 
-              // Save updated tracking data to Firestore
-              await saveTrackingData(firestore, post.id, alreadyProcessed, currentJoinedUsers);
+          // Also send a confirmation notification to the joiner
+          await queueUserNotification(
+            newJoiner,
+            null,
+            null,
+            {
+              type: 'volunteer',
+              volunteerId: post.id,
+              postId: post.id,
+              communityId: post.communityId,
+              status: 'joined',
+              priority: 'high',
+              forceAlert: 'true',
+              timestamp: Date.now()
+            },
+            { template: { key: 'volunteer_join_confirmation', params: { postTitle: post.title } } }
+          );
 
-            } catch (userError) {
-              console.error(`[VOLUNTEER JOIN ERROR] Error processing user ${newJoiner}:`, userError);
-              console.error(userError);
-            }
-          }
-        }
+          console.log(`[VOLUNTEER JOIN DEBUG] Successfully sent confirmation notification to joiner ${newJoiner}`);
+        });
       } catch (error) {
         console.error('[VOLUNTEER JOIN ERROR] Error processing volunteer post joins:', error);
         console.error(error);
@@ -1455,34 +1262,25 @@ const monitorCommentLikes = () => {
           continue;
         }
 
-        // Find likes added in the last 10 seconds
-        const now = Date.now();
-        const recentLikes = Object.entries(comment.likes)
-          .filter(([_, likeData]) => {
-            const createdAt = likeData.createdAt || 0;
-            return (now - createdAt) < 10000; // 10 seconds
-          })
-          .map(([userId, _]) => userId);
-
-        if (recentLikes.length === 0) {
-          continue;
-        }
-
-        console.log(`[COMMENT_LIKE DEBUG] Recent likes detected on comment ${comment.id} in notice ${noticeId}: ${recentLikes.join(', ')}`);
-
-        // Enhanced check: Don't send notifications to authors of their own content
-        // Check if the comment author is also the notice author
-        const isCommentFromNoticeAuthor = comment.authorId === noticeData.authorId;
-        if (isCommentFromNoticeAuthor) {
-          console.log(`[COMMENT_LIKE DEBUG] Comment ${comment.id} is from the notice author: ${comment.authorId}`);
-        }
+        // Process likes not yet in the ledger, each separately
+        await processEvents(Object.entries(comment.likes).map(([userId, likeData]) => ({
+          key: getEventKey('commentLike', noticeId, comment.id, userId),
+          occurredAt: likeData.createdAt || 0,
+          source: 'monitorCommentLikes',
+          userId,
+        })), async ({ userId: likerId }) => {
+          console.log(`[COMMENT_LIKE DEBUG] New like detected on comment ${comment.id} in notice ${noticeId} by ${likerId}`);
+
+          // Enhanced check: Don't send notifications to authors of their own content
+          // Check if the comment author is also the notice author
+          if (comment.authorId === noticeData.authorId) {
+            console.log(`[COMMENT_LIKE DEBUG] Comment ${comment.id} is from the notice author: ${comment.authorId}`);
+          }
 
-        // Process each like separately
-        for (const likerId of recentLikes) {
           // Don't send notification if the comment author and like author are the same
           if (likerId === comment.authorId) {
             console.log(`[COMMENT_LIKE DEBUG] Skipping notification as user ${likerId} liked their own comment`);
-            continue;
+            return;
           }
 
           // FIX: The post author SHOULD receive notifications when people like their comments
@@ -1601,17 +1399,18 @@ const monitorCommentLikes = () => {
           console.log(`[COMMENT_LIKE DEBUG] Sending notification to ${comment.authorId} about like from ${displayName} on comment: "${commentText}"`);
 
           // Send notification to the comment author with enhanced data
-          const { sendNotificationToUser } = require('./notifications');
-          await sendNotificationToUser(
+          const { queueUserNotification } = require('./queue');
+          await queueUserNotification(
             comment.authorId,
-            'New Like on Your Comment',
-            `${displayName} liked your comment: "${commentText}"`,
+            null,
+            null,
             {
               type: 'socialInteractions',
               noticeId,
               commentId: comment.id,
               communityId: noticeData.communityId,
               likerId: likerId,
+              likerName: displayName,
               commentText: commentText,
               // Include author IDs to help with filtering
               commentAuthorId: comment.authorId,
@@ -1621,9 +1420,10 @@ const monitorCommentLikes = () => {
               commentAuthorIsAdmin: commentAuthorIsAdmin ? 'true' : 'false',
               noticeAuthorIsAdmin: noticeAuthorIsAdmin ? 'true' : 'false',
               isUserAdmin: commentAuthorIsAdmin ? 'true' : 'false' // Flag if recipient is admin
-            }
+            },
+            { template: { key: 'comment_like', params: { likerName: displayName, commentText: comment.text || comment.content } } }
           );
-        }
+        });
       }
     } catch (error) {
       console.error('[COMMENT_LIKE ERROR] Error processing comment likes:', error);
@@ -1672,234 +1472,233 @@ const monitorCommentReplies = () => {
           continue;
         }
 
-        // Sort by createdAt (newest first)
-        repliesArray.sort((a, b) => b.createdAt - a.createdAt);
-
-        // Get the latest reply
-        const latestReply = repliesArray[0];
-
-        // Check if the reply was just added (within the last 10 seconds)
-        const now = Date.now();
-        if (now - latestReply.createdAt > 10000) {
-          continue;
-        }
-
-        console.log(`[REPLY DEBUG] Latest reply on comment ${commentId} in notice ${noticeId}:`, JSON.stringify(latestReply));
-
-        // Check if this is a reply to a specific user (mentioned with @username) before skipping based on author
-        const content = latestReply.content || '';
-        const mentionMatch = content.match(/@([a-zA-Z0-9_]+(?:\s+[a-zA-Z0-9_]+)*)/);
-        let mentionedUsername = null;
-        let mentionedUserId = null;
-        let replyToUserId = null;
-
-        // First check if this is a reply to another reply (using replyToId)
-        if (latestReply.replyToId) {
-          console.log(`[REPLY DEBUG] This is a reply to another reply: ${latestReply.replyToId}`);
-
-          // Find the reply that this is responding to
-          for (const replyObj of repliesArray) {
-            if (replyObj.id === latestReply.replyToId) {
-              replyToUserId = replyObj.authorId;
-              console.log(`[REPLY DEBUG] Found reply target user: ${replyToUserId}`);
-              break;
+        // Process replies not yet in the ledger (oldest first)
+        repliesArray.sort((a, b) => a.createdAt - b.createdAt);
+        await processEvents(repliesArray.map(reply => ({
+          key: getEventKey('reply', noticeId, commentId, reply.id),
+          occurredAt: reply.createdAt,
+          source: 'monitorCommentReplies',
+          reply,
+        })), async ({ reply: newReply }) => {
+          console.log(`[REPLY DEBUG] New reply on comment ${commentId} in notice ${noticeId}:`, JSON.stringify(newReply));
+
+          // Check if this is a reply to a specific user (mentioned with @username) before skipping based on author
+          const content = newReply.content || '';
+          const mentionMatch = content.match(/@([a-zA-Z0-9_]+(?:\s+[a-zA-Z0-9_]+)*)/);
+          let mentionedUsername = null;
+          let mentionedUserId = null;
+          let replyToUserId = null;
+
+          // First check if this is a reply to another reply (using replyToId)
+          if (newReply.replyToId) {
+            console.log(`[REPLY DEBUG] This is a reply to another reply: ${newReply.replyToId}`);
+
+            // Find the reply that this is responding to
+            for (const replyObj of repliesArray) {
+              if (replyObj.id === newReply.replyToId) {
+                replyToUserId = replyObj.authorId;
+                console.log(`[REPLY DEBUG] Found reply target user: ${replyToUserId}`);
+                break;
+              }
             }
           }
-        }
 
-        if (mentionMatch && mentionMatch[1]) {
-          mentionedUsername = mentionMatch[1].trim();
-          console.log(`[REPLY DEBUG] Username mention detected: "${mentionedUsername}"`);
+          if (mentionMatch && mentionMatch[1]) {
+            mentionedUsername = mentionMatch[1].trim();
+            console.log(`[REPLY DEBUG] Username mention detected: "${mentionedUsername}"`);
 
-          // Look up the user ID by their username/name
-          try {
-            // Add more logging to help troubleshoot
-            console.log(`[REPLY DEBUG] Searching for user with displayName "${mentionedUsername}" in Firestore`);
-
-            // Search for mentioned user in Firestore by displayName or username
-            const usersSnapshot = await firestore.collection('users')
-              .where('displayName', '==', mentionedUsername)
-              .limit(1)
-              .get();
-
-            if (!usersSnapshot.empty) {
-              const mentionedUserDoc = usersSnapshot.docs[0];
-              mentionedUserId = mentionedUserDoc.id;
-              console.log(`[REPLY DEBUG] Found mentioned user ID: ${mentionedUserId}`);
-            } else {
-              console.log(`[REPLY DEBUG] No user found with exact displayName match, trying alternative lookups`);
+            // Look up the user ID by their username/name
+            try {
+              // Add more logging to help troubleshoot
+              console.log(`[REPLY DEBUG] Searching for user with displayName "${mentionedUsername}" in Firestore`);
 
-              // Try a more flexible search approach - get all users and do client-side filtering
-              const allUsersSnapshot = await firestore.collection('users')
-                .limit(100)  // Limit to first 100 users to avoid excessive data transfer
+              // Search for mentioned user in Firestore by displayName or username
+              const usersSnapshot = await firestore.collection('users')
+                .where('displayName', '==', mentionedUsername)
+                .limit(1)
                 .get();
 
-              const potentialMatches = [];
-              allUsersSnapshot.forEach(doc => {
-                const userData = doc.data();
-                const displayName = userData.displayName || userData.fullName || userData.username || '';
-
-                // Check if display name contains the mentioned username (case insensitive)
-                if (displayName.toLowerCase().includes(mentionedUsername.toLowerCase())) {
-                  potentialMatches.push({
-                    id: doc.id,
-                    displayName: displayName,
-                    exactMatch: displayName.toLowerCase() === mentionedUsername.toLowerCase()
-                  });
-                }
-              });
-
-              console.log(`[REPLY DEBUG] Found ${potentialMatches.length} potential matches:`, JSON.stringify(potentialMatches));
-
-              // Use the best match (prefer exact match, otherwise first partial match)
-              const exactMatch = potentialMatches.find(match => match.exactMatch);
-              if (exactMatch) {
-                mentionedUserId = exactMatch.id;
-                console.log(`[REPLY DEBUG] Using exact match: ${mentionedUserId} (${exactMatch.displayName})`);
-              } else if (potentialMatches.length > 0) {
-                mentionedUserId = potentialMatches[0].id;
-                console.log(`[REPLY DEBUG] Using best partial match: ${mentionedUserId} (${potentialMatches[0].displayName})`);
+              if (!usersSnapshot.empty) {
+                const mentionedUserDoc = usersSnapshot.docs[0];
+                mentionedUserId = mentionedUserDoc.id;
+                console.log(`[REPLY DEBUG] Found mentioned user ID: ${mentionedUserId}`);
               } else {
-                // Final attempt: try to find the user in Firebase Auth
-                try {
-                  console.log(`[REPLY DEBUG] No matches found in Firestore, trying Firebase Auth lookup`);
-                  // This is a basic implementation - in a real app, you'd need proper security rules
-                  // Get a list of users from auth (up to 1000 users)
-                  const listUsersResult = await admin.auth().listUsers(1000);
-
-                  // Search for matching displayName in auth users
-                  const authMatch = listUsersResult.users.find(user => {
-                    const authDisplayName = user.displayName || '';
-                    return authDisplayName.toLowerCase().includes(mentionedUsername.toLowerCase());
-                  });
-
-                  if (authMatch) {
-                    mentionedUserId = authMatch.uid;
-                    console.log(`[REPLY DEBUG] Found user in Firebase Auth: ${mentionedUserId} (${authMatch.displayName || authMatch.email})`);
-                  } else {
-                    console.log(`[REPLY DEBUG] No matching user found in Firebase Auth`);
+                console.log(`[REPLY DEBUG] No user found with exact displayName match, trying alternative lookups`);
+
+                // Try a more flexible search approach - get all users and do client-side filtering
+                const allUsersSnapshot = await firestore.collection('users')
+                  .limit(100)  // Limit to first 100 users to avoid excessive data transfer
+                  .get();
+
+                const potentialMatches = [];
+                allUsersSnapshot.forEach(doc => {
+                  const userData = doc.data();
+                  const displayName = userData.displayName || userData.fullName || userData.username || '';
+
+                  // Check if display name contains the mentioned username (case insensitive)
+                  if (displayName.toLowerCase().includes(mentionedUsername.toLowerCase())) {
+                    potentialMatches.push({
+                      id: doc.id,
+                      displayName: displayName,
+                      exactMatch: displayName.toLowerCase() === mentionedUsername.toLowerCase()
+                    });
+                  }
+                });
+
+                console.log(`[REPLY DEBUG] Found ${potentialMatches.length} potential matches:`, JSON.stringify(potentialMatches));
+
+                // Use the best match (prefer exact match, otherwise first partial match)
+                const exactMatch = potentialMatches.find(match => match.exactMatch);
+                if (exactMatch) {
+                  mentionedUserId = exactMatch.id;
+                  console.log(`[REPLY DEBUG] Using exact match: ${mentionedUserId} (${exactMatch.displayName})`);
+                } else if (potentialMatches.length > 0) {
+                  mentionedUserId = potentialMatches[0].id;
+                  console.log(`[REPLY DEBUG] Using best partial match: ${mentionedUserId} (${potentialMatches[0].displayName})`);
+                } else {
+                  // Final attempt: try to find the user in Firebase Auth
+                  try {
+                    console.log(`[REPLY DEBUG] No matches found in Firestore, trying Firebase Auth lookup`);
+                    // This is a basic implementation - in a real app, you'd need proper security rules
+                    // Get a list of users from auth (up to 1000 users)
+                    const listUsersResult = await admin.auth().listUsers(1000);
+
+                    // Search for matching displayName in auth users
+                    const authMatch = listUsersResult.users.find(user => {
+                      const authDisplayName = user.displayName || '';
+                      return authDisplayName.toLowerCase().includes(mentionedUsername.toLowerCase());
+                    });
+
+                    if (authMatch) {
+                      mentionedUserId = authMatch.uid;
+                      console.log(`[REPLY DEBUG] Found user in Firebase Auth: ${mentionedUserId} (${authMatch.displayName || authMatch.email})`);
+                    } else {
+                      console.log(`[REPLY DEBUG] No matching user found in Firebase Auth`);
+                    }
+                  } catch (authError) {
+                    console.error(`[REPLY ERROR] Error looking up user in Firebase Auth: ${authError.message}`);
                   }
-                } catch (authError) {
-                  console.error(`[REPLY ERROR] Error looking up user in Firebase Auth: ${authError.message}`);
                 }
               }
+            } catch (error) {
+              console.error(`[REPLY ERROR] Error processing user mention: ${error.message}`);
             }
-          } catch (error) {
-            console.error(`[REPLY ERROR] Error processing user mention: ${error.message}`);
           }
-        }
 
-        // If we have a replyToId but couldn't find a mention, use the replyToUserId
-        if (!mentionedUserId && replyToUserId) {
-          mentionedUserId = replyToUserId;
-          console.log(`[REPLY DEBUG] Using replyToUserId as mentionedUserId: ${mentionedUserId}`);
-        }
+          // If we have a replyToId but couldn't find a mention, use the replyToUserId
+          if (!mentionedUserId && replyToUserId) {
+            mentionedUserId = replyToUserId;
+            console.log(`[REPLY DEBUG] Using replyToUserId as mentionedUserId: ${mentionedUserId}`);
+          }
 
-        // If the reply author is the same as the comment author AND there's no mention/replyTo, skip notification
-        // However, if there's a mention to another user, we should continue processing to send the mention notification
-        if (latestReply.authorId === comment.authorId && !mentionedUserId) {
-          console.log(`[REPLY DEBUG] Skipping notification as reply author ${latestReply.authorId} is the same as comment author and no mention was found`);
-          continue;
-        } else if (latestReply.authorId === comment.authorId && mentionedUserId) {
-          console.log(`[REPLY DEBUG] Comment author is replying with a mention to user ${mentionedUserId}, will send mention notification`);
-          // Continue processing for the mention notification
-        }
+          // If the reply author is the same as the comment author AND there's no mention/replyTo, skip notification
+          // However, if there's a mention to another user, we should continue processing to send the mention notification
+          if (newReply.authorId === comment.authorId && !mentionedUserId) {
+            console.log(`[REPLY DEBUG] Skipping notification as reply author ${newReply.authorId} is the same as comment author and no mention was found`);
+            return;
+          } else if (newReply.authorId === comment.authorId && mentionedUserId) {
+            console.log(`[REPLY DEBUG] Comment author is replying with a mention to user ${mentionedUserId}, will send mention notification`);
+            // Continue processing for the mention notification
+          }
 
-        // Get commenter's name for the notification
-        let replyAuthorName = 'Someone';
+          // Get commenter's name for the notification
+          let replyAuthorName = 'Someone';
 
-        try {
-          // Try multiple sources to get the reply author's name
-          // First try Realtime Database
-          const authorSnapshot = await db.ref(`/users/${latestReply.authorId}`).once('value');
-          const authorData = authorSnapshot.val();
+          try {
+            // Try multiple sources to get the reply author's name
+            // First try Realtime Database
+            const authorSnapshot = await db.ref(`/users/${newReply.authorId}`).once('value');
+            const authorData = authorSnapshot.val();
 
-          if (authorData) {
-            replyAuthorName = authorData.fullName || authorData.displayName || authorData.username || replyAuthorName;
-          } else {
-            // If not in RTDB, check Firestore
-            const userDocRef = await firestore.collection('users').doc(latestReply.authorId).get();
-            if (userDocRef.exists) {
-              const userData = userDocRef.data();
-              replyAuthorName = userData.fullName || userData.displayName || userData.username || replyAuthorName;
+            if (authorData) {
+              replyAuthorName = authorData.fullName || authorData.displayName || authorData.username || replyAuthorName;
             } else {
-              // Final check in userProfiles collection
-              const profileDocRef = await firestore.collection('userProfiles').doc(latestReply.authorId).get();
-              if (profileDocRef.exists) {
-                const profileData = profileDocRef.data();
-                replyAuthorName = profileData.fullName || profileData.displayName || profileData.name || replyAuthorName;
+              // If not in RTDB, check Firestore
+              const userDocRef = await firestore.collection('users').doc(newReply.authorId).get();
+              if (userDocRef.exists) {
+                const userData = userDocRef.data();
+                replyAuthorName = userData.fullName || userData.displayName || userData.username || replyAuthorName;
+              } else {
+                // Final check in userProfiles collection
+                const profileDocRef = await firestore.collection('userProfiles').doc(newReply.authorId).get();
+                if (profileDocRef.exists) {
+                  const profileData = profileDocRef.data();
+                  replyAuthorName = profileData.fullName || profileData.displayName || profileData.name || replyAuthorName;
+                }
               }
             }
+          } catch (error) {
+            console.error(`[REPLY ERROR] Error retrieving reply author data: ${error.message}`);
           }
-        } catch (error) {
-          console.error(`[REPLY ERROR] Error retrieving reply author data: ${error.message}`);
-        }
 
-        // Format the reply content for notification
-        let replyContent = latestReply.content || '';
-        if (typeof replyContent !== 'string') {
-          replyContent = String(replyContent || '');
-        }
+          // Format the reply content for notification
+          let replyContent = newReply.content || '';
+          if (typeof replyContent !== 'string') {
+            replyContent = String(replyContent || '');
+          }
 
-        if (replyContent.length > 50) {
-          replyContent = replyContent.substring(0, 50) + '...';
-        }
+          if (replyContent.length > 50) {
+            replyContent = replyContent.substring(0, 50) + '...';
+          }
 
-        if (!replyContent || replyContent.trim() === '') {
-          replyContent = '(No reply text)';
-        }
+          if (!replyContent || replyContent.trim() === '') {
+            replyContent = '(No reply text)';
+          }
 
-        console.log(`[REPLY DEBUG] Sending notification to ${comment.authorId} about reply from ${replyAuthorName}: "${replyContent}"`);
+          console.log(`[REPLY DEBUG] Sending notification to ${comment.authorId} about reply from ${replyAuthorName}: "${replyContent}"`);
 
-        // Send notification to the comment author
-        const { sendNotificationToUser } = require('./notifications');
+          // Send notification to the comment author
+          const { queueUserNotification } = require('./queue');
 
-        // Only send notification to comment author if they're not the same as reply author
-        if (comment.authorId !== latestReply.authorId) {
-          await sendNotificationToUser(
-            comment.authorId,
-            'New Reply to Your Comment',
-            `${replyAuthorName} replied to your comment: "${replyContent}"`,
-            {
-              type: 'socialInteractions',
-              noticeId,
-              commentId,
-              replyId: latestReply.id,
-              communityId: noticeData.communityId,
-              authorId: latestReply.authorId,
-              replyText: replyContent,
-              parentCommentId: commentId,
-              parentCommentAuthorId: comment.authorId
-            }
-          );
-        }
-
-        // If there's a mention, send notification to the mentioned user (if not already sent above)
-        if (mentionedUserId && mentionedUserId !== latestReply.authorId) {
-          // If the mentioned user is the comment author and the reply author is different, we've already sent them a notification above
-          // Only need to send another notification if they're not the comment author, or if the reply author is the comment author
-          if (mentionedUserId !== comment.authorId || latestReply.authorId === comment.authorId) {
-            console.log(`[REPLY DEBUG] Sending mention notification to user ${mentionedUserId}`);
-
-            // Send notification to the mentioned user
-            await sendNotificationToUser(
-              mentionedUserId,
-              'You Were Mentioned in a Reply',
-              `${replyAuthorName} mentioned you in a reply: "${replyContent}"`,
+          // Only send notification to comment author if they're not the same as reply author
+          if (comment.authorId !== newReply.authorId) {
+            await queueUserNotification(
+              comment.authorId,
+              null,
+              null,
               {
                 type: 'socialInteractions',
                 noticeId,
                 commentId,
-                replyId: latestReply.id,
+                replyId: newReply.id,
                 communityId: noticeData.communityId,
-                authorId: latestReply.authorId,
+                authorId: newReply.authorId,
                 replyText: replyContent,
-                mentioned: true,
-                mentionedUserId: mentionedUserId
-              }
+                parentCommentId: commentId,
+                parentCommentAuthorId: comment.authorId
+              },
+              { template: { key: 'comment_reply', params: { authorName: replyAuthorName, replyText: newReply.content } } }
             );
           }
-        }
+
+          // If there's a mention, send notification to the mentioned user (if not already sent above)
+          if (mentionedUserId && mentionedUserId !== newReply.authorId) {
+            // If the mentioned user is the comment author and the reply author is different, we've already sent them a notification above
+            // Only need to send another notification if they're not the comment author, or if the reply author is the comment author
+            if (mentionedUserId !== comment.authorId || newReply.authorId === comment.authorId) {
+              console.log(`[REPLY DEBUG] Sending mention notification to user ${mentionedUserId}`);
+
+              // Send notification to the mentioned user
+              await queueUserNotification(
+                mentionedUserId,
+                null,
+                null,
+                {
+                  type: 'socialInteractions',
+                  noticeId,
+                  commentId,
+                  replyId: newReply.id,
+                  communityId: noticeData.communityId,
+                  authorId: newReply.authorId,
+                  replyText: replyContent,
+                  mentioned: true,
+                  mentionedUserId: mentionedUserId
+                },
+                { template: { key: 'reply_mention', params: { authorName: replyAuthorName, replyText: newReply.content } } }
+              );
+            }
+          }
+        });
       }
     } catch (error) {
       console.error('[REPLY ERROR] Error processing comment replies:', error);
@@ -1959,27 +1758,19 @@ const monitorCommentReplyLikes = () => {
             continue;
           }
 
-          // Find likes added in the last 10 seconds
-          const now = Date.now();
-          const recentLikes = Object.entries(reply.likes)
-            .filter(([_, likeData]) => {
-              const createdAt = likeData.createdAt || 0;
-              return (now - createdAt) < 10000; // 10 seconds
-            })
-            .map(([userId, _]) => userId);
-
-          if (recentLikes.length === 0) {
-            continue;
-          }
-
-          console.log(`[REPLY_LIKE DEBUG] Recent likes detected on reply ${replyId} in comment ${commentId}, notice ${noticeId}: ${recentLikes.join(', ')}`);
+          // Process likes not yet in the ledger, each separately
+          await processEvents(Object.entries(reply.likes).map(([userId, likeData]) => ({
+            key: getEventKey('replyLike', noticeId, commentId, replyId, userId),
+            occurredAt: likeData.createdAt || 0,
+            source: 'monitorCommentReplyLikes',
+            userId,
+          })), async ({ userId: likerId }) => {
+            console.log(`[REPLY_LIKE DEBUG] New like detected on reply ${replyId} in comment ${commentId}, notice ${noticeId} by ${likerId}`);
 
-          // Process each like separately
-          for (const likerId of recentLikes) {
             // Don't send notification if the reply author and like author are the same
             if (likerId === reply.authorId) {
               console.log(`[REPLY_LIKE DEBUG] Skipping notification as user ${likerId} liked their own reply`);
-              continue;
+              return;
             }
 
             // Get liker's name for the notification
@@ -2068,11 +1859,11 @@ const monitorCommentReplyLikes = () => {
             console.log(`[REPLY_LIKE DEBUG] Sending notification to ${reply.authorId} about like from ${displayName} on reply: "${replyText}"`);
 
             // Send notification to the reply author with enhanced data
-            const { sendNotificationToUser } = require('./notifications');
-            await sendNotificationToUser(
+            const { queueUserNotification } = require('./queue');
+            await queueUserNotification(
               reply.authorId,
-              'New Like on Your Reply',
-              `${displayName} liked your reply: "${replyText}"`,
+              null,
+              null,
               {
                 type: 'socialInteractions',
                 noticeId,
@@ -2080,6 +1871,7 @@ const monitorCommentReplyLikes = () => {
                 replyId,
                 communityId: noticeData.communityId,
                 likerId: likerId,
+                likerName: displayName,
                 replyText: replyText,
                 // Include author IDs to help with filtering
                 replyAuthorId: reply.authorId,
@@ -2091,9 +1883,10 @@ const monitorCommentReplyLikes = () => {
                 commentAuthorIsAdmin: commentAuthorIsAdmin ? 'true' : 'false',
                 noticeAuthorIsAdmin: noticeAuthorIsAdmin ? 'true' : 'false',
                 isUserAdmin: replyAuthorIsAdmin ? 'true' : 'false' // Flag if recipient is admin
-              }
+              },
+              { template: { key: 'reply_like', params: { likerName: displayName, replyText: reply.text || reply.content } } }
             );
-          }
+          });
         }
       }
     } catch (error) {
@@ -2106,7 +1899,8 @@ const monitorCommentReplyLikes = () => {
 const monitorMarketplaceItemStatusUpdates = () => {
   const firestore = getFirestore();
 
-  // Track previous status of items to detect changes
+  // Last status seen per item, to tell which status an item changed from; which changes were
+  // notified is kept in the ledger, so it survives restarts
   const itemStatusCache = new Map();
   let isInitialized = false;
 
@@ -2116,117 +1910,143 @@ const monitorMarketplaceItemStatusUpdates = () => {
   firestore.collection('market_items')
     .onSnapshot(async (snapshot) => {
       try {
-        // On first snapshot, initialize the cache
-        if (!isInitialized) {
-          snapshot.docs.forEach(doc => {
-            const data = doc.data();
-            if (data.status) {
-              itemStatusCache.set(doc.id, data.status);
-            }
-          });
-          isInitialized = true;
-          console.log(`[MARKET STATUS DEBUG] Cache initialized with ${itemStatusCache.size} items`);
-          return; 
-        }
-
-        // Process document changes
-        const changes = snapshot.docChanges();
-        
-        if (changes.length === 0) return;
-
-        for (const change of changes) {
-          // We care about 'added' (to update cache for new items) and 'modified' (to detect status changes)
-          // We ignore 'removed' for now, or we could clean up the cache
+        // The first snapshot lists every item: it fills the cache and catches reviews made while
+        // the server was down
+        const initialSnapshot = !isInitialized;
+        isInitialized = true;
+
+        const reviewedItems = [];
+        const pendingItems = [];
+        const caughtUpItems = [];
+        for (const change of snapshot.docChanges()) {
           if (change.type === 'removed') {
             itemStatusCache.delete(change.doc.id);
             continue;
           }
-          
-          const item = change.doc.data();
-          const itemId = change.doc.id;
-          const currentStatus = item.status;
-          
+
           // Skip local writes
           if (change.doc.metadata?.hasPendingWrites) continue;
 
-          if (change.type === 'added') {
-            // Just update the cache so we have a baseline for future modifications
-            if (currentStatus) {
-              itemStatusCache.set(itemId, currentStatus);
-              console.log(`[MARKET STATUS DEBUG] New item added to cache: ${itemId} with status ${currentStatus}`);
-            }
+          const item = { id: change.doc.id, ...change.doc.data() };
+          const currentStatus = item.status;
+          const previousStatus = itemStatusCache.get(item.id);
+          itemStatusCache.set(item.id, currentStatus);
+
+          // Any change to an item (price, photos, status) refreshes the seller's cached copy
+          if (change.type === 'modified' && item.sellerId) {
+            sendSyncHint(item.sellerId, 'market_items', item.id, { status: currentStatus });
+          }
+
+          // Only care about status changes from 'pending' to 'approved'/'active' or 'rejected'
+          if (currentStatus === 'pending') {
+            pendingItems.push(item);
             continue;
           }
+          if (!['approved', 'active', 'rejected'].includes(currentStatus)) continue;
 
-          // Handle 'modified'
-          const previousStatus = itemStatusCache.get(itemId);
+          if (initialSnapshot) {
+            caughtUpItems.push(item);
+          } else if (change.type === 'modified' && previousStatus === 'pending') {
+            console.log(`[MARKET STATUS DEBUG] Item ${item.id} status changed: ${previousStatus} -> ${currentStatus}`);
+            reviewedItems.push({ item, occurredAt: Date.now() });
+          }
+        }
 
-          // Update cache
-          itemStatusCache.set(itemId, currentStatus);
+        // Record the items seen waiting for review, so a review made while the server is down can be
+        // told apart from an item that was listed without one
+        await processEvents(pendingItems.map(item => ({
+          key: getEventKey('marketItemPending', item.id),
+          source: 'monitorMarketplaceItemStatusUpdates',
+        })), async () => {});
+
+        // An item found reviewed after a restart was reviewed while the server was down if it was seen
+        // waiting since the ledger started; the ledger skips reviews already notified
+        if (caughtUpItems.length > 0) {
+          const seenPending = await findRecordedEvents(
+            caughtUpItems.map(item => getEventKey('marketItemPending', item.id))
+          );
+          caughtUpItems
+            .filter(item => seenPending.has(getEventKey('marketItemPending', item.id)))
+            .forEach(item => reviewedItems.push({ item, occurredAt: item.updatedAt || Date.now() }));
+        }
 
-          if (!previousStatus || currentStatus === previousStatus) continue;
+        await processEvents(reviewedItems.map(({ item, occurredAt }) => ({
+          key: getEventKey('marketItemStatus', item.id, item.status),
+          occurredAt,
+          source: 'monitorMarketplaceItemStatusUpdates',
+          item,
+        })), async ({ item }) => {
+          const itemId = item.id;
+          const currentStatus = item.status;
+          const { queueUserNotification, queueCommunityNotification } = require('./queue');
 
-          console.log(`[MARKET STATUS DEBUG] Item ${itemId} status changed: ${previousStatus} -> ${currentStatus}`);
+          if (currentStatus === 'approved' || currentStatus === 'active') {
+            console.log(`[MARKET STATUS DEBUG] Item approved. Notifying seller ${item.sellerId}`);
 
-          // Only care about status changes to 'approved'/'active' or 'rejected'
-          if (previousStatus === 'pending') {
-            const { sendNotificationToUser, sendNotificationToCommunity } = require('./notifications');
-            
-            if (currentStatus === 'approved' || currentStatus === 'active') {
-              console.log(`[MARKET STATUS DEBUG] Item approved. Notifying seller ${item.sellerId}`);
-              
-              // Notify Seller
-              await sendNotificationToUser(
-                item.sellerId,
-                'Item Approved',
-                `Your item "${item.title}" has been approved and is now live in the marketplace.`,
-                {
-                  type: 'marketplace',
-                  itemId: itemId,
-                  communityId: item.communityId,
-                  status: 'approved',
-                  timestamp: Date.now()
-                }
-              );
+            // Notify Seller
+            await queueUserNotification(
+              item.sellerId,
+              null,
+              null,
+              {
+                type: 'marketplace',
+                itemId: itemId,
+                communityId: item.communityId,
+                status: 'approved',
+                timestamp: Date.now()
+              },
+              { template: { key: 'marketplace_item_approved', params: { itemTitle: item.title } } }
+            );
 
-              // Notify Community about the new item (now that it's approved)
-              console.log(`[MARKET STATUS DEBUG] Item approved. Notifying community ${item.communityId}`);
-              
-              // Note: We exclude the seller. The admin who approved it might still receive this notification
-              // if they are a member of the community, which is expected behavior for "New Item" alerts.
-              await sendNotificationToCommunity(
-                item.communityId,
-                'New Item in Marketplace',
-                `${item.sellerName} is selling: "${item.title}" for ${item.price}`,
-                {
-                  type: 'marketplace',
-                  itemId: itemId,
-                  communityId: item.communityId,
-                  sellerId: item.sellerId,
+            // Notify Community about the new item (now that it's approved)
+            console.log(`[MARKET STATUS DEBUG] Item approved. Notifying community ${item.communityId}`);
+
+            // Note: We exclude the seller. The admin who approved it might still receive this notification
+            // if they are a member of the community, which is expected behavior for "New Item" alerts.
+            // Show the item's first photo, as for items that need no approval
+            const imageUrl = pickImageUrl(item.imageUrls, item.images, item.imageUrl);
+            await queueCommunityNotification(
+              item.communityId,
+              null,
+              null,
+              {
+                type: 'marketplace',
+                itemId: itemId,
+                communityId: item.communityId,
+                sellerId: item.sellerId,
+                ...(imageUrl && { imageUrl }),
+              },
+              item.sellerId, // Exclude the seller
+              {
+                template: {
+                  key: 'marketplace_new_item',
+                  params: { sellerName: item.sellerName, itemTitle: item.title, price: item.price },
                 },
-                item.sellerId // Exclude the seller
-              );
+              }
+            );
+          } else {
+            console.log(`[MARKET STATUS DEBUG] Item rejected. Notifying seller ${item.sellerId}`);
 
-            } else if (currentStatus === 'rejected') {
-              console.log(`[MARKET STATUS DEBUG] Item rejected. Notifying seller ${item.sellerId}`);
-              
-              const reason = item.rejectionReason ? ` Reason: ${item.rejectionReason}` : '';
-              
-              await sendNotificationToUser(
-                item.sellerId,
-                'Item Rejected',
-                `Your item "${item.title}" has been rejected.${reason}`,
-                {
-                  type: 'marketplace',
-                  itemId: itemId,
-                  communityId: item.communityId,
-                  status: 'rejected',
-                  timestamp: Date.now()
-                }
-              );
-            }
+            await queueUserNotification(
+              item.sellerId,
+              null,
+              null,
+              {
+                type: 'marketplace',
+                itemId: itemId,
+                communityId: item.communityId,
+                status: 'rejected',
+                timestamp: Date.now()
+              },
+              {
+                template: {
+                  key: item.rejectionReason ? 'marketplace_item_rejected_reason' : 'marketplace_item_rejected',
+                  params: { itemTitle: item.title, reason: item.rejectionReason },
+                },
+              }
+            );
           }
-        }
+        });
       } catch (error) {
         console.error('[MARKET STATUS ERROR] Error processing item status updates:', error);
       }
@@ -2236,6 +2056,11 @@ const monitorMarketplaceItemStatusUpdates = () => {
 // Start all monitoring functions
 const startAllMonitoring = () => {
   try {
+    // Load the ledger start time up front; claims retry it if this fails
+    startEventLedger().catch(error => {
+      console.error('[LEDGER ERROR] Error starting processed-event ledger:', error);
+    });
+
     monitorCommunityNotices();
     monitorCommunityNoticeComments();
     monitorCommunityNoticeLikes();
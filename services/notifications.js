@@ -1,8 +1,81 @@
 const admin = require('firebase-admin');
-const { getFirestore, getMessaging } = require('./firebase');
+const { getFirestore } = require('./firebase');
+const { getTransport } = require('./transport');
+const { getQuietHoursStatus, isDeferrableType, deferNotification } = require('./quietHours');
+const { getDigestFrequency, addToDigest } = require('./digest');
+const { isAggregatable, recordAggregateEvent, setAggregateNotification } = require('./aggregation');
+const { consumePushToken, peekPushToken } = require('./rateLimit');
+const { renderTemplate, getUserLocale, getLocaleForUser, DEFAULT_LOCALE } = require('./templates');
+const { getDeliverySettings } = require('./priority');
+const { resolvePreference } = require('./preferences');
+const { buildWebpushConfig } = require('./webPush');
+const { sendFallbackNotification, hasEnabledFallbackChannel } = require('./channels');
+const { getCommunityTopic, getTokenValues } = require('./topics');
+const { getBadgeCount } = require('./badges');
+const { resolveNotificationImage } = require('./media');
+const { getActionCategory } = require('./actions');
+
+// FCM accepts at most 500 messages per sendEach call
+const FCM_BATCH_SIZE = 500;
+// Firestore write batches are limited to 500 operations
+const FIRESTORE_BATCH_SIZE = 500;
+// Number of user_tokens documents fetched per getAll call
+const TOKEN_READ_BATCH_SIZE = 100;
+// Maximum number of batches in flight at once during community fan-out
+const SEND_CONCURRENCY = parseInt(process.env.NOTIFICATION_SEND_CONCURRENCY) || 4;
+// Data-only messages are hints about current state, so they are dropped if not delivered within an hour
+const DATA_MESSAGE_TTL_MS = 60 * 60 * 1000;
+
+// Helper function to split an array into chunks of the given size
+function chunkArray(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Helper function to run an async worker over items with at most `limit` running at once
+// Results are returned in the same order as the input items
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+// Helper function to check if an FCM error means the token is no longer valid
+function isInvalidTokenError(error) {
+  return error.code === 'messaging/invalid-argument' ||
+    error.code === 'messaging/invalid-registration-token' ||
+    error.code === 'messaging/registration-token-not-registered' ||
+    error.message?.includes('Invalid registration token') ||
+    error.message?.includes('not a valid FCM registration token');
+}
+
+// Helper function to read the preferences of a user without a token document
+// They are kept on the users document so fallback opt-ins work before any device is registered
+async function getProfilePreferences(db, userId) {
+  try {
+    const userDoc = await db.collection('users').doc(userId).get();
+    return (userDoc.exists && userDoc.data().notificationPreferences) || {};
+  } catch (error) {
+    console.error(`[NOTIFICATION ERROR] Error reading preferences for user ${userId}:`, error);
+    return {};
+  }
+}
 
 // Helper function to store a community notification
-async function storeNotificationForCommunity(db, communityId, title, body, data, excludeUserId) {
+// The template is kept so the inbox can show the record in each reader's locale
+async function storeNotificationForCommunity(db, communityId, title, body, data, excludeUserId, template) {
   try {
     // Create a community notification record
     const notificationRef = await db.collection('community_notifications').add({
@@ -11,8 +84,10 @@ async function storeNotificationForCommunity(db, communityId, title, body, data,
       body,
       type: data.type || 'general',
       data,
+      ...(template ? { template: JSON.parse(JSON.stringify(template)) } : {}),
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       createdBy: data.authorId || excludeUserId || 'system',
+      ...(excludeUserId && { excludeUserId }),
     });
 
     console.log(`[NOTIFICATION DEBUG] Community notification stored with ID: ${notificationRef.id}`);
@@ -38,17 +113,83 @@ async function createUserNotificationRecord(db, userId, notificationId, communit
     });
 
     console.log(`[NOTIFICATION DEBUG] Created notification status with ID: ${statusRef.id} for user ${userId} and notification ${notificationId}`);
-    return true;
+    return statusRef.id;
   } catch (error) {
     console.error(`[NOTIFICATION ERROR] Error creating notification status record for user ${userId}:`, error);
-    return false;
+    return null;
+  }
+}
+
+// Helper function to store a direct notification in the user's inbox
+async function storeNotificationForUser(db, userId, title, body, data) {
+  try {
+    // Strip undefined values, which Firestore rejects
+    const storedData = JSON.parse(JSON.stringify(data || {}));
+
+    // Create a user notification record
+    const notificationRef = await db.collection('user_notifications').add({
+      userId,
+      title,
+      body,
+      type: storedData.type || 'general',
+      data: storedData,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: storedData.authorId || 'system',
+    });
+
+    console.log(`[NOTIFICATION DEBUG] User notification stored with ID: ${notificationRef.id} for user ${userId}`);
+
+    // No communityId on the status record so readers resolve it against user_notifications
+    const statusId = await createUserNotificationRecord(db, userId, notificationRef.id, null);
+
+    return { notificationId: notificationRef.id, statusId };
+  } catch (error) {
+    console.error(`[NOTIFICATION ERROR] Error storing user notification for user ${userId}:`, error);
+    return null;
+  }
+}
+
+// Helper function to update an existing inbox entry in place (used for aggregated notifications)
+// Returns the ID of the status record that now marks the entry as unread
+async function updateUserNotification(db, userId, notificationId, statusId, title, body, data) {
+  // Strip undefined values, which Firestore rejects
+  const storedData = JSON.parse(JSON.stringify(data || {}));
+
+  await db.collection('user_notifications').doc(notificationId).update({
+    title,
+    body,
+    data: storedData,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  // Bring the entry back to the top of the inbox as unread
+  // The status record is deleted when the user reads it, so it may need to be recreated
+  if (statusId) {
+    const statusDoc = await db.collection('notification_status').doc(statusId).get();
+    if (statusDoc.exists) {
+      await statusDoc.ref.update({
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return statusId;
+    }
   }
+
+  return createUserNotificationRecord(db, userId, notificationId, null);
 }
 
 // Send a notification to a specific user
-const sendNotificationToUser = async (userId, title, body, data = {}) => {
+// Options: template - { key, params } to render the title and body in the user's locale
+//                     (title and body may then be null)
+//          skipQuietHours - push immediately even if the user is in quiet hours
+//          skipDigest - send now even if the user gets this type as a digest
+//          skipRateLimit - push even if the user's rate limit for this type is exhausted
+//          dryRun - run every check and validate the messages with FCM without delivering them
+//                   or writing anything; the result lists each token's outcome
+const sendNotificationToUser = async (userId, title, body, data = {}, options = {}) => {
   // Generate a unique request ID for this notification
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+  const dryRun = options.dryRun === true;
   
   try {
     console.log(`[NOTIFICATION DEBUG] [${requestId}] Starting sendNotificationToUser for userId: ${userId}`);
@@ -56,33 +197,38 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
     console.log(`[NOTIFICATION DEBUG] [${requestId}] Data payload:`, JSON.stringify(data));
     
     const db = getFirestore();
-    const messaging = getMessaging();
+    const messaging = getTransport();
 
     // Get user's FCM tokens
     const userTokensDoc = await db.collection('user_tokens').doc(userId).get();
 
+    // A user who has not registered a device yet still gets the inbox entry; the push is
+    // skipped (and missing_tokens recorded) once no tokens are left below
     if (!userTokensDoc.exists) {
-      console.log(`[NOTIFICATION ERROR] [${requestId}] No tokens found for user ${userId}`);
-      // Track this user for token recovery in a separate collection
-      await db.collection('missing_tokens').doc(userId).set({
-        userId,
-        lastAttemptedNotification: admin.firestore.FieldValue.serverTimestamp(),
-        notificationType: data.type || 'general',
-        firstDetected: admin.firestore.FieldValue.serverTimestamp()
-      }, { merge: true });
-      return { success: false, error: 'No tokens found', requestId };
+      console.log(`[NOTIFICATION DEBUG] [${requestId}] No token document for user ${userId}, storing inbox entry only`);
     }
 
-    const userData = userTokensDoc.data();
+    const userData = userTokensDoc.exists ? userTokensDoc.data() : {};
     const tokens = userData.tokens || [];
-    const preferences = userData.notificationPreferences || {};
+    const preferences = userTokensDoc.exists ?
+      userData.notificationPreferences || {} :
+      await getProfilePreferences(db, userId);
+    const locale = getUserLocale(userData);
+
+    if (options.template) {
+      ({ title, body } = renderTemplate(options.template.key, locale, options.template.params));
+      console.log(`[NOTIFICATION DEBUG] [${requestId}] Rendered template ${options.template.key} (${locale}): "${title}"`);
+    }
     
     console.log(`[NOTIFICATION DEBUG] [${requestId}] Found ${tokens.length} tokens for user ${userId}`);
     console.log(`[NOTIFICATION DEBUG] [${requestId}] User preferences:`, JSON.stringify(preferences));
 
-    // Check if user has enabled this notification type
-    if (data.type && preferences[data.type] === false) {
-      console.log(`[NOTIFICATION ERROR] [${requestId}] User ${userId} has disabled ${data.type} notifications`);
+    // Check if user has enabled this notification type; a user who turned push off for it can
+    // still get it by email or SMS, so only stop here if those are off too
+    const preference = resolvePreference(preferences, data, 'push');
+    const pushDisabled = !preference.enabled;
+    if (pushDisabled && !hasEnabledFallbackChannel(preferences, data)) {
+      console.log(`[NOTIFICATION ERROR] [${requestId}] User ${userId} has disabled ${data.type}${preference.subtype ? `/${preference.subtype}` : ''} notifications (${preference.level} setting)`);
       return { success: false, error: 'Notification type disabled by user', requestId };
     }
 
@@ -117,6 +263,109 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
       data.volunteerId = data.postId; // Ensure volunteerId is set if only postId is provided
     }
 
+    // Collect events for users who get this type as an hourly or daily digest
+    const digestFrequency = options.skipDigest ? 'instant' : getDigestFrequency(preferences, data.type);
+    if (digestFrequency !== 'instant') {
+      console.log(`[NOTIFICATION DEBUG] [${requestId}] User ${userId} gets ${data.type} as a ${digestFrequency} digest, adding to digest`);
+      if (dryRun) {
+        return { success: true, digested: true, digestFrequency, requestId };
+      }
+      const digestEvent = await addToDigest(userId, title, body, data, digestFrequency, preferences);
+      return {
+        success: true,
+        digested: true,
+        deliverAt: new Date(digestEvent.deliverAt).toISOString(),
+        requestId
+      };
+    }
+
+    // Merge repeated likes on the same target into one notification that updates in place
+    // (skipped in a dry run, which checks the event as if it were the first one)
+    let aggregate = null;
+    if (!dryRun && !data.notificationId && isAggregatable(data)) {
+      try {
+        aggregate = await recordAggregateEvent(userId, title, body, data, locale);
+        title = aggregate.title;
+        body = aggregate.body;
+        data.collapseKey = aggregate.collapseKey;
+        data.aggregateCount = String(aggregate.actorCount);
+        console.log(`[NOTIFICATION DEBUG] [${requestId}] Aggregated notification for user ${userId}: ${aggregate.actorCount} actors on ${aggregate.key}`);
+
+        // The first event of a window created the inbox entry with the aggregate; later ones update it
+        if (!aggregate.created) {
+          const statusId = await updateUserNotification(db, userId, aggregate.notificationId, aggregate.statusId, title, body, data);
+          if (statusId !== aggregate.statusId) {
+            await setAggregateNotification(aggregate.key, aggregate.notificationId, statusId);
+          }
+        }
+        data.notificationId = aggregate.notificationId;
+      } catch (error) {
+        console.error(`[NOTIFICATION ERROR] [${requestId}] Error aggregating notification, sending it on its own:`, error);
+        aggregate = null;
+      }
+    }
+
+    // Store the notification in the user's inbox unless the caller already stored one
+    // (e.g. report status updates are stored in community_notifications by the monitor)
+    if (!dryRun && !data.notificationId) {
+      const stored = await storeNotificationForUser(db, userId, title, body, data);
+      if (stored) {
+        data.notificationId = stored.notificationId;
+      }
+    }
+
+    // Hold non-urgent pushes until the user's quiet hours end (the inbox entry is already stored)
+    if (!options.skipQuietHours && isDeferrableType(data.type)) {
+      const quietHours = getQuietHoursStatus(preferences);
+      if (quietHours.active) {
+        console.log(`[NOTIFICATION DEBUG] [${requestId}] User ${userId} is in quiet hours, deferring ${data.type || 'general'} notification`);
+        if (!dryRun) {
+          await deferNotification(userId, title, body, data, quietHours.endsAt);
+        }
+        return {
+          success: true,
+          deferred: true,
+          deliverAt: new Date(quietHours.endsAt).toISOString(),
+          notificationId: data.notificationId,
+          requestId
+        };
+      }
+    }
+
+    // Push is turned off for this notification, so only the email and SMS fallbacks can reach the user
+    if (pushDisabled) {
+      console.log(`[NOTIFICATION DEBUG] [${requestId}] User ${userId} has turned off push for ${data.type}${preference.subtype ? `/${preference.subtype}` : ''} notifications (${preference.level} setting), trying fallback channels`);
+      if (dryRun) {
+        return { success: false, error: 'Notification type disabled by user', requestId };
+      }
+      const fallback = await sendFallbackNotification(userId, title, body, data, preferences);
+      if (fallback.sent) {
+        return { success: true, fallback: fallback.channels, notificationId: data.notificationId, requestId };
+      }
+      return { success: false, error: 'Notification type disabled by user', fallback: fallback.channels, notificationId: data.notificationId, requestId };
+    }
+
+    // Hold the push when the user is getting too many of this type; it is merged into a
+    // follow-up summary once the bucket refills (the inbox entry is already stored)
+    if (!options.skipRateLimit) {
+      const rateLimit = dryRun ?
+        peekPushToken(userId, data.type || 'general') :
+        consumePushToken(userId, data.type || 'general');
+      if (!rateLimit.allowed) {
+        console.log(`[NOTIFICATION DEBUG] [${requestId}] User ${userId} is over the push rate limit, holding ${data.type || 'general'} notification`);
+        if (!dryRun) {
+          await deferNotification(userId, title, body, data, rateLimit.retryAt, 'rateLimit');
+        }
+        return {
+          success: true,
+          rateLimited: true,
+          deliverAt: new Date(rateLimit.retryAt).toISOString(),
+          notificationId: data.notificationId,
+          requestId
+        };
+      }
+    }
+
     // Check if user is an admin (for better notification handling)
     let isUserAdmin = false;
     try {
@@ -213,13 +462,15 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
       
       // Record this token recovery attempt
       try {
-        await db.collection('token_recovery_attempts').add({
-          userId,
-          isAdmin: isUserAdmin ? true : false,
-          tokenUsed: validTokens[0].token ? validTokens[0].token.substring(0, 15) + '...' : 'unknown format',
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          notificationType: data.type || 'general'
-        });
+        if (!dryRun) {
+          await db.collection('token_recovery_attempts').add({
+            userId,
+            isAdmin: isUserAdmin ? true : false,
+            tokenUsed: validTokens[0].token ? validTokens[0].token.substring(0, 15) + '...' : 'unknown format',
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            notificationType: data.type || 'general'
+          });
+        }
       } catch (err) {
         console.error('[NOTIFICATION ERROR] Failed to record token recovery attempt:', err);
       }
@@ -228,6 +479,10 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
     // If there are still no valid tokens (empty tokens array), return error
     if (validTokens.length === 0) {
       console.log(`[NOTIFICATION ERROR] [${requestId}] No tokens found for user ${userId}`);
+      if (dryRun) {
+        return { success: false, error: 'No tokens found', requestId };
+      }
+
       // Track this user for token recovery in a separate collection
       await db.collection('missing_tokens').doc(userId).set({
         userId,
@@ -235,7 +490,13 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
         notificationType: data.type || 'general',
         firstDetected: admin.firestore.FieldValue.serverTimestamp()
       }, { merge: true });
-      return { success: false, error: 'No tokens found', requestId };
+
+      // Reach the user by email or SMS instead if they opted in for this kind of notification
+      const fallback = await sendFallbackNotification(userId, title, body, data, preferences);
+      if (fallback.sent) {
+        return { success: true, fallback: fallback.channels, notificationId: data.notificationId, requestId };
+      }
+      return { success: false, error: 'No tokens found', fallback: fallback.channels, notificationId: data.notificationId, requestId };
     }
     
     // Replace the original tokens array with our filtered one
@@ -244,12 +505,6 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
     
     console.log(`[NOTIFICATION DEBUG] [${requestId}] After filtering inactive tokens: ${tokens.length} remaining for user ${userId}`);
 
-    // Check if user has enabled this notification type
-    if (data.type && preferences[data.type] === false) {
-      console.log(`[NOTIFICATION ERROR] [${requestId}] User ${userId} has disabled ${data.type} notifications`);
-      return { success: false, error: 'Notification type disabled by user', requestId };
-    }
-
     // For social interactions, we check if the user who performed the action (likerId/commenterId) 
     // is the same as the recipient (userId)
     if (data.type === 'socialInteractions') {
@@ -308,6 +563,9 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
     let successCount = 0;
     let failureCount = 0;
     const failedTokens = [];
+    // Dry runs report what each token would have received
+    const tokenResults = [];
+    let sampleMessage = null;
     
     // Create a deep copy of the data object to avoid reference issues between notifications
     // This is crucial when multiple notifications are sent in quick succession
@@ -328,7 +586,26 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
       }
     });
     
-    console.log(`[NOTIFICATION DEBUG] [${requestId}] Sending notification to ${standardizedTokens.length} tokens for user ${userId}`);
+    // TTL and urgency come from the notification type's priority class
+    const delivery = getDeliverySettings(originalData);
+
+    // The app icon badge shows the user's unread notifications (the inbox entry is already stored)
+    const badge = await getBadgeCount(userId);
+
+    // Attach the picture in data.imageUrl if it can be shown, otherwise send text only
+    const imageUrl = await resolveNotificationImage(originalData.imageUrl);
+    if (!imageUrl) {
+      delete stringifiedData.imageUrl;
+    }
+
+    // Buttons the app shows on the notification (e.g. Approve/Reject for admins)
+    const actionCategory = getActionCategory(originalData);
+    if (actionCategory) {
+      stringifiedData.actionCategory = actionCategory.category;
+      stringifiedData.actions = actionCategory.actions.join(',');
+    }
+
+    console.log(`[NOTIFICATION DEBUG] [${requestId}] Sending notification to ${standardizedTokens.length} tokens for user ${userId} (${delivery.priorityClass} priority)`);
     
     // Send to each token individually for better error tracking
     for (const tokenData of standardizedTokens) {
@@ -357,7 +634,9 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
         }
         
         // Create a unique tag for this specific notification to prevent overwriting
-        const uniqueNotificationTag = `${tokenSpecificData.type || 'notification'}_${requestId}_${Date.now()}`;
+        // Aggregated notifications use their stable collapse key so updates replace the previous one
+        const collapseKey = tokenSpecificData.collapseKey || null;
+        const uniqueNotificationTag = collapseKey || `${tokenSpecificData.type || 'notification'}_${requestId}_${Date.now()}`;
         
         // Create notification message for a single token with optimized delivery settings
         // Restructuring payload to match exactly what the Flutter app expects
@@ -371,6 +650,7 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
             // Add required fields from frontend inspection
             type: tokenSpecificData.type || 'general',
             priority: tokenSpecificData.priority || 'high',
+            priorityClass: delivery.priorityClass,
             isForAdmin: isAdmin ? 'true' : 'false',
             forceAlert: 'true',
             // Ensure notificationId is always sent
@@ -379,12 +659,14 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
             timestamp: String(Date.now()),
             // Add unique request ID to ensure each notification is distinct
             requestId: requestId,
-            click_action: 'FLUTTER_NOTIFICATION_CLICK'
+            click_action: 'FLUTTER_NOTIFICATION_CLICK',
+            ...(badge !== null && { badge: String(badge) })
           },
           token: token, // Send to a single token
           android: {
-            priority: 'high',
-            ttl: 60 * 1000, // 1 minute expiration for better real-time delivery
+            ...(collapseKey && { collapseKey }),
+            priority: delivery.androidPriority,
+            ttl: delivery.ttlMs, // How long FCM keeps trying to reach an offline device
             notification: {
               // Use a different channel for admins to bypass potential channel restrictions
               channelId: isAdmin ? 'admin_high_importance_channel' : 'high_importance_channel',
@@ -396,46 +678,64 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
               sound: 'default', // Explicitly set sound
               // Add a tag with both type and timestamp to make notifications not replace each other
               tag: uniqueNotificationTag,
+              ...(imageUrl && { imageUrl }),
             },
             directBootOk: true, // Allow delivery during direct boot mode
           },
           apns: {
             headers: {
-              'apns-priority': '10', // Immediate delivery (10) instead of default (5)
+              'apns-priority': delivery.apnsPriority, // 10 delivers immediately, 5 lets iOS batch for power
               'apns-push-type': 'alert',
+              'apns-expiration': delivery.apnsExpiration,
+              ...(collapseKey && { 'apns-collapse-id': collapseKey }),
             },
             payload: {
               aps: {
                 sound: 'default',
-                badge: 1,
+                ...(badge !== null && { badge }),
                 'content-available': 1, // Wakes up the app for processing
                 'mutable-content': 1,   // Allows notification service extension to modify content
-                'interruption-level': 'time-sensitive', // iOS 15+ priority
-                // Add alert category for admin
-                category: isAdmin ? 'ADMIN_NOTIFICATION' : 'USER_NOTIFICATION',
+                'interruption-level': delivery.interruptionLevel, // iOS 15+ priority
+                // Action category registered in the app, otherwise the alert category for admins
+                category: actionCategory ? actionCategory.category : (isAdmin ? 'ADMIN_NOTIFICATION' : 'USER_NOTIFICATION'),
                 // Add unique identifier in the thread-id to prevent grouping of different notifications
                 'thread-id': uniqueNotificationTag,
               },
             },
+            // Sent to APNs as fcm_options.image; the app's notification service extension downloads it
+            ...(imageUrl && { fcmOptions: { imageUrl } }),
           },
+          // Used for browser tokens (platform 'web')
+          webpush: buildWebpushConfig(title, body, tokenSpecificData, delivery, uniqueNotificationTag, imageUrl),
         };
         
         console.log(`[NOTIFICATION DEBUG] [${requestId}] Full message payload:`, JSON.stringify(message));
         
-        // Send the notification to this token
-        const response = await messaging.send(message);
+        if (dryRun && !sampleMessage) {
+          sampleMessage = { notification: message.notification, data: message.data };
+        }
+
+        // Send the notification to this token (FCM only validates it in a dry run)
+        const response = await messaging.send(message, dryRun);
         successCount++;
-        console.log(`[NOTIFICATION SUCCESS] [${requestId}] Sent notification to token: ${token.substring(0, 15)}...`);
+        if (dryRun) {
+          tokenResults.push({ token: `${token.substring(0, 15)}...`, platform: tokenData.platform, valid: true });
+        }
+        console.log(`[NOTIFICATION SUCCESS] [${requestId}] ${dryRun ? 'Validated' : 'Sent'} notification to token: ${token.substring(0, 15)}...`);
         console.log(`[NOTIFICATION DEBUG] [${requestId}] FCM response:`, response);
       } catch (tokenError) {
         // Check if this is a token-specific error that indicates the token is invalid
-        const isTokenInvalid = 
-          tokenError.code === 'messaging/invalid-argument' ||
-          tokenError.code === 'messaging/invalid-registration-token' ||
-          tokenError.code === 'messaging/registration-token-not-registered' ||
-          tokenError.message?.includes('Invalid registration token') ||
-          tokenError.message?.includes('not a valid FCM registration token');
-        
+        const isTokenInvalid = isInvalidTokenError(tokenError);
+        if (dryRun) {
+          tokenResults.push({
+            token: `${token.substring(0, 15)}...`,
+            platform: tokenData.platform,
+            valid: false,
+            error: tokenError.code || tokenError.message,
+            invalidToken: isTokenInvalid
+          });
+        }
+
         // Detailed logging for better troubleshooting
         console.error(`[NOTIFICATION ERROR] [${requestId}] Failed to send to token ${token.substring(0, 15)}...`);
         console.error(`[NOTIFICATION ERROR] [${requestId}] Error code: ${tokenError.code || 'unknown'}`);
@@ -453,7 +753,18 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
       }
     }
 
-    console.log(`[NOTIFICATION SUMMARY] [${requestId}] Notification to ${userId}: ${successCount} successful, ${failureCount} failed`);
+    console.log(`[NOTIFICATION SUMMARY] [${requestId}] Notification to ${userId}: ${successCount} successful, ${failureCount} failed${dryRun ? ' (dry run)' : ''}`);
+
+    if (dryRun) {
+      return {
+        success: successCount > 0,
+        successCount,
+        failureCount,
+        message: sampleMessage,
+        tokens: tokenResults,
+        requestId
+      };
+    }
 
     // Remove failed tokens
     if (failedTokens.length > 0) {
@@ -472,10 +783,19 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
       }
     }
 
+    // Every token was rejected as invalid, so no device can receive the push
+    if (successCount === 0 && failedTokens.length > 0 && failedTokens.length === failureCount) {
+      const fallback = await sendFallbackNotification(userId, title, body, originalData, preferences);
+      if (fallback.sent) {
+        return { success: true, fallback: fallback.channels, successCount, failureCount, notificationId: data.notificationId, requestId };
+      }
+    }
+
     return {
       success: successCount > 0,
       successCount,
       failureCount,
+      notificationId: data.notificationId,
       requestId
     };
   } catch (error) {
@@ -484,8 +804,173 @@ const sendNotificationToUser = async (userId, title, body, data = {}) => {
   }
 };
 
+// Helper function to create user-specific notification status records in Firestore
+// These link to the community notification but track read status for each user
+async function createCommunityStatusRecords(db, communityId, notificationId, userIds) {
+  for (const userIdChunk of chunkArray(userIds, FIRESTORE_BATCH_SIZE)) {
+    try {
+      const batch = db.batch();
+      userIdChunk.forEach(userId => {
+        batch.set(db.collection('notification_status').doc(), {
+          userId,
+          communityId,
+          notificationId, // Reference to the community notification
+          read: false,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      await batch.commit();
+      console.log(`[NOTIFICATION DEBUG] Created ${userIdChunk.length} notification status records linked to community notification ${notificationId}`);
+    } catch (error) {
+      console.error('[NOTIFICATION ERROR] Error creating notification status records:', error);
+    }
+  }
+
+  // Kept for delivery and open rates
+  try {
+    await db.collection('community_notifications').doc(notificationId).update({ recipientCount: userIds.length });
+  } catch (error) {
+    console.error(`[NOTIFICATION ERROR] Error storing recipient count for community notification ${notificationId}:`, error.message);
+  }
+}
+
+// Helper function to build the data payload of a community notification
+// imageUrl is the checked picture; an unusable data.imageUrl is left out
+function buildCommunityData(data, notificationId, imageUrl = null) {
+  // Convert all data values to strings and ensure no undefined values
+  const stringifiedData = {};
+  Object.keys(data).forEach(key => {
+    if (data[key] !== undefined && data[key] !== null) {
+      stringifiedData[key] = String(data[key]);
+    }
+  });
+
+  // Add timestamp to ensure uniqueness
+  stringifiedData.timestamp = String(Date.now());
+  stringifiedData.click_action = 'FLUTTER_NOTIFICATION_CLICK';
+  stringifiedData.notificationId = notificationId;
+  if (!imageUrl) {
+    delete stringifiedData.imageUrl;
+  }
+  return stringifiedData;
+}
+
+// Helper function to build a community notification message without its target
+// text is the { title, body } in the recipient's locale, delivery comes from getDeliverySettings
+// badge is the recipient's unread count, or null to leave the app icon badge unchanged
+// imageUrl is a checked picture to show with the notification, or null
+function buildCommunityMessage(communityId, notificationId, text, data, stringifiedData, delivery, isAdmin, { badge = null, imageUrl = null } = {}) {
+  // Restructuring payload to match exactly what the Flutter app expects
+  return {
+    notification: {
+      title: text.title,
+      body: text.body,
+    },
+    data: {
+      ...stringifiedData,
+      // Add required fields from frontend inspection
+      type: data.type || 'communityNotices',
+      priority: data.priority || 'high',
+      priorityClass: delivery.priorityClass,
+      communityId: communityId, // Always include communityId for community notifications
+      isForAdmin: isAdmin ? 'true' : 'false',
+      forceAlert: 'true',
+      // Ensure notificationId is always sent
+      notificationId: notificationId,
+      ...(badge !== null && { badge: String(badge) })
+    },
+    android: {
+      priority: delivery.androidPriority,
+      ttl: delivery.ttlMs, // How long FCM keeps trying to reach an offline device
+      notification: {
+        // Use a different channel for admins to bypass potential channel restrictions
+        channelId: isAdmin ? 'admin_high_importance_channel' : 'high_importance_channel',
+        // FCM doesn't support the importance field directly
+        // Only use fields that FCM API supports
+        defaultSound: true,
+        defaultVibrateTimings: true,
+        visibility: 'public',
+        sound: 'default', // Explicitly set sound
+        // Add a tag to make notifications not replace each other
+        tag: `${data.type || 'communityNotices'}_${Date.now()}`,
+        ...(imageUrl && { imageUrl }),
+      },
+      directBootOk: true, // Allow delivery during direct boot mode
+    },
+    apns: {
+      headers: {
+        'apns-priority': delivery.apnsPriority, // 10 delivers immediately, 5 lets iOS batch for power
+        'apns-push-type': 'alert',
+        'apns-expiration': delivery.apnsExpiration,
+      },
+      payload: {
+        aps: {
+          sound: 'default',
+          ...(badge !== null && { badge }),
+          'content-available': 1, // Wakes up the app for processing
+          'mutable-content': 1,   // Allows notification service extension to modify content
+          'interruption-level': delivery.interruptionLevel, // iOS 15+ priority
+          // Add alert category for admin
+          category: isAdmin ? 'ADMIN_NOTIFICATION' : 'USER_NOTIFICATION',
+        },
+      },
+      // Sent to APNs as fcm_options.image; the app's notification service extension downloads it
+      ...(imageUrl && { fcmOptions: { imageUrl } }),
+    },
+    // Used for browser tokens (platform 'web')
+    webpush: buildWebpushConfig(text.title, text.body, stringifiedData, delivery, `community_${notificationId}`, imageUrl),
+  };
+}
+
+// Helper function to deliver a community notification with one send to the community topic
+// Member preferences are not checked and the text is in the default locale
+async function sendCommunityTopicNotification(db, messaging, communityId, notificationId, title, body, data, userIds, dryRun, storeRecords) {
+  const topic = getCommunityTopic(communityId);
+
+  // Every member gets the notification in their inbox, whether or not a device is subscribed
+  if (storeRecords) {
+    await createCommunityStatusRecords(db, communityId, notificationId, userIds);
+  }
+
+  const imageUrl = await resolveNotificationImage(data.imageUrl);
+  const stringifiedData = buildCommunityData(data, notificationId, imageUrl);
+  const delivery = getDeliverySettings({ ...data, type: data.type || 'communityNotices' });
+  // One message reaches every member, so there is no single unread count to show
+  const message = {
+    ...buildCommunityMessage(communityId, notificationId, { title, body }, data, stringifiedData, delivery, false, { imageUrl }),
+    topic,
+  };
+
+  try {
+    const messageId = await messaging.send(message, dryRun);
+    console.log(`[NOTIFICATION DEBUG] Sent community notification ${notificationId} to topic ${topic}: ${messageId}`);
+    return {
+      success: true,
+      topic,
+      messageId,
+      totalUsers: userIds.length,
+      notificationId,
+      ...(dryRun && { message: { notification: message.notification, data: message.data } })
+    };
+  } catch (error) {
+    console.error(`[NOTIFICATION ERROR] Failed to send community notification ${notificationId} to topic ${topic}: ${error.message}`);
+    return { success: false, error: error.message, topic, notificationId };
+  }
+}
+
 // Send a notification to all users in a community
-const sendNotificationToCommunity = async (communityId, title, body, data = {}, excludeUserId = null) => {
+// Options: template - { key, params } to render the title and body in each member's locale
+//                     (title and body may then be null, the stored record uses the default locale)
+//          useTopic - deliver with one send to the community_<id> topic instead of reading every
+//                     member's tokens; for large announcements where preferences don't apply
+//          dryRun - run every check and validate the messages with FCM without delivering them
+//                   or writing anything; each member's result lists what their tokens would get
+//          notificationId - resend an already stored community notification (queue retries);
+//                           the record and members' status records are not created again
+//          retryTokens - { userId: [token] } to only send to these members' devices (queue retries)
+// The result's retryTokens lists the devices that failed with a transient error, by member
+const sendNotificationToCommunity = async (communityId, title, body, data = {}, excludeUserId = null, options = {}) => {
+  let notificationId = options.notificationId || null;
   try {
     if (!communityId) {
       console.error('Community ID is undefined or null');
@@ -493,12 +978,22 @@ const sendNotificationToCommunity = async (communityId, title, body, data = {},
     }
 
     const db = getFirestore();
-    const messaging = getMessaging();
-    console.log(`Sending notification to community: ${communityId}`);
+    const messaging = getTransport();
+    const dryRun = options.dryRun === true;
+    console.log(`Sending notification to community: ${communityId}${dryRun ? ' (dry run)' : ''}`);
+
+    if (options.template) {
+      ({ title, body } = renderTemplate(options.template.key, DEFAULT_LOCALE, options.template.params));
+    }
 
     // First, store a single notification record for the community
     // This will be used to track which notification was sent
-    const notificationId = await storeNotificationForCommunity(db, communityId, title, body, data, excludeUserId);
+    const storeRecords = !dryRun && !notificationId;
+    if (dryRun) {
+      notificationId = `dryrun_${Date.now()}`;
+    } else if (storeRecords) {
+      notificationId = await storeNotificationForCommunity(db, communityId, title, body, data, excludeUserId, options.template);
+    }
 
     // Get all users in the community
     let usersSnapshot;
@@ -516,14 +1011,25 @@ const sendNotificationToCommunity = async (communityId, title, body, data = {},
       return { success: false, error: 'No users found in community' };
     }
 
-    // Filter users to exclude specific user if provided
-    const userDocs = usersSnapshot.docs.filter(doc => !excludeUserId || doc.id !== excludeUserId);
+    // Filter users to exclude specific user if provided, and to the members being retried
+    const retryTokens = options.retryTokens || null;
+    const userDocs = usersSnapshot.docs.filter(doc =>
+      (!excludeUserId || doc.id !== excludeUserId) && (!retryTokens || retryTokens[doc.id])
+    );
     console.log(`Found ${userDocs.length} users in community ${communityId} (excluding ${excludeUserId || 'none'})`);
 
     if (userDocs.length === 0) {
       return { success: true, sentCount: 0, message: 'No users to notify after exclusion' };
     }
 
+    if (options.useTopic && !retryTokens) {
+      if (!excludeUserId) {
+        return sendCommunityTopicNotification(db, messaging, communityId, notificationId, title, body, data, userDocs.map(doc => doc.id), dryRun, storeRecords);
+      }
+      // A topic send would also reach the excluded user's devices
+      console.log(`[NOTIFICATION DEBUG] Topic send requested with an excluded user, sending to each member instead`);
+    }
+
     // Get the excluded user's tokens to further filter out devices
     let excludedUserTokens = new Set();
     if (excludeUserId) {
@@ -542,213 +1048,207 @@ const sendNotificationToCommunity = async (communityId, title, body, data = {},
       }
     }
 
-    // Send notification to each user sequentially to avoid overwhelming the FCM API
+    // Read all members' token documents in batches instead of one get per user
+    const userIds = userDocs.map(doc => doc.id);
+    const tokenDocChunks = await runWithConcurrency(
+      chunkArray(userIds, TOKEN_READ_BATCH_SIZE),
+      SEND_CONCURRENCY,
+      idChunk => db.getAll(...idChunk.map(id => db.collection('user_tokens').doc(id)))
+    );
+    const tokenDocs = tokenDocChunks.flat();
+
     const results = [];
-    let successCount = 0;
+    const recipients = [];
 
-    for (const doc of userDocs) {
-      const userId = doc.id;
-      try {
-        console.log(`Sending notification to user ${userId} in community ${communityId}`);
+    for (const userTokensDoc of tokenDocs) {
+      const userId = userTokensDoc.id;
 
-        // Get user's FCM tokens
-        const userTokensDoc = await db.collection('user_tokens').doc(userId).get();
+      if (!userTokensDoc.exists) {
+        console.log(`No tokens found for user ${userId}`);
+        results.push({ success: false, error: 'No tokens found', userId });
+        continue;
+      }
 
-        if (!userTokensDoc.exists) {
-          console.log(`No tokens found for user ${userId}`);
-          results.push({ success: false, error: 'No tokens found', userId });
-          continue;
-        }
+      const userData = userTokensDoc.data();
+      const tokens = userData.tokens || [];
+      const preferences = userData.notificationPreferences || {};
 
-        const userData = userTokensDoc.data();
-        const tokens = userData.tokens || [];
-        const preferences = userData.notificationPreferences || {};
+      // Check if user has enabled this notification type, in this community
+      const preference = resolvePreference(preferences, { ...data, communityId }, 'push');
+      if (!preference.enabled) {
+        console.log(`User ${userId} has disabled ${data.type}${preference.subtype ? `/${preference.subtype}` : ''} notifications (${preference.level} setting)`);
+        results.push({ success: false, error: 'Notification type disabled by user', userId });
+        continue;
+      }
 
-        // Check if user has enabled this notification type
-        if (data.type && preferences[data.type] === false) {
-          console.log(`User ${userId} has disabled ${data.type} notifications`);
-          results.push({ success: false, error: 'Notification type disabled by user', userId });
-          continue;
-        }
+      // Extract valid tokens and filter out tokens of excluded user (for shared devices)
+      const validTokens = tokens
+        .filter(tokenData => {
+          // Allow both string tokens and token objects
+          const hasToken = typeof tokenData === 'string' || (tokenData && tokenData.token);
+          
+          // Check for explicit logout flag
+          const isLoggedOut = tokenData && tokenData.loggedOut === true;
+          
+          return hasToken && !isLoggedOut;
+        })
+        .map(tokenData => typeof tokenData === 'string' ? tokenData : 
+                        (tokenData && tokenData.token ? tokenData.token : null))
+        .filter(token => token !== null && !excludedUserTokens.has(token)) // Filter out null tokens and tokens of excluded user
+        .filter(token => !retryTokens || retryTokens[userId].includes(token));
+
+      if (validTokens.length === 0) {
+        console.log(`No valid tokens found for user ${userId} after filtering out excluded user's devices`);
+        results.push({ success: false, error: 'No valid tokens found after filtering', userId });
+        continue;
+      }
 
-        // Extract valid tokens and filter out tokens of excluded user (for shared devices)
-        const validTokens = tokens
-          .filter(tokenData => {
-            // Allow both string tokens and token objects
-            const hasToken = typeof tokenData === 'string' || (tokenData && tokenData.token);
-            
-            // Check for explicit logout flag
-            const isLoggedOut = tokenData && tokenData.loggedOut === true;
-            
-            return hasToken && !isLoggedOut;
-          })
-          .map(tokenData => typeof tokenData === 'string' ? tokenData : 
-                          (tokenData && tokenData.token ? tokenData.token : null))
-          .filter(token => token !== null && !excludedUserTokens.has(token)); // Filter out null tokens and tokens of excluded user
-
-        if (validTokens.length === 0) {
-          console.log(`No valid tokens found for user ${userId} after filtering out excluded user's devices`);
-          results.push({ success: false, error: 'No valid tokens found after filtering', userId });
-          continue;
-        }
+      recipients.push({ userId, tokens, validTokens, locale: getUserLocale(userData) });
+    }
 
-        console.log(`[NOTIFICATION DEBUG] User ${userId} has ${validTokens.length} valid tokens after filtering`);
+    console.log(`[NOTIFICATION DEBUG] ${recipients.length} of ${userDocs.length} users in community ${communityId} have deliverable tokens`);
 
-        // Create user-specific notification status record in Firestore
-        // This links to the community notification but tracks read status for this user
-        await createUserNotificationRecord(db, userId, notificationId, communityId);
+    if (storeRecords) {
+      await createCommunityStatusRecords(db, communityId, notificationId, recipients.map(({ userId }) => userId));
+    }
 
-        // Log the creation of the user notification status record
-        console.log(`Created notification status record for user ${userId} linked to community notification ${notificationId}`);
+    // Attach the picture in data.imageUrl if it can be shown (checked once for all members)
+    const imageUrl = await resolveNotificationImage(data.imageUrl);
+    const stringifiedData = buildCommunityData(data, notificationId, imageUrl);
+
+    // TTL and urgency come from the notification type's priority class
+    const delivery = getDeliverySettings({ ...data, type: data.type || 'communityNotices' });
+    console.log(`[NOTIFICATION DEBUG] Community notification ${notificationId} uses ${delivery.priorityClass} priority`);
+
+    // Each member's badge counts their unread notifications, including this one
+    const badges = await runWithConcurrency(recipients, SEND_CONCURRENCY, ({ userId }) => getBadgeCount(userId));
+    const badgeByUser = new Map(recipients.map(({ userId }, index) => [userId, badges[index]]));
+
+    // Build one message per device, remembering which user each one belongs to
+    const outgoing = [];
+    // Text each member would see, reported in dry runs
+    const textByUser = new Map();
+    for (const { userId, validTokens, locale } of recipients) {
+      const text = options.template ?
+        renderTemplate(options.template.key, locale, options.template.params) :
+        { title, body };
+      textByUser.set(userId, { locale, ...text });
+
+      const isAdmin = data.isUserAdmin === 'true' || 
+                  (data.noticeAuthorId === userId && data.authorIsAdmin === 'true');
+
+      if (isAdmin) {
+        console.log(`[NOTIFICATION DEBUG] Preparing community ADMIN notification with special handling for user: ${userId}`);
+      }
 
-        // Convert all data values to strings and ensure no undefined values
-        const stringifiedData = {};
-        Object.keys(data).forEach(key => {
-          if (data[key] !== undefined && data[key] !== null) {
-            stringifiedData[key] = String(data[key]);
-          }
-        });
+      for (const token of validTokens) {
+        const message = {
+          ...buildCommunityMessage(communityId, notificationId, text, data, stringifiedData, delivery, isAdmin, { badge: badgeByUser.get(userId), imageUrl }),
+          token,
+        };
 
-        // Add timestamp to ensure uniqueness
-        stringifiedData.timestamp = String(Date.now());
-        stringifiedData.click_action = 'FLUTTER_NOTIFICATION_CLICK';
-        stringifiedData.notificationId = notificationId;
-
-        // Send FCM notifications to this user's devices
-        let userSuccessCount = 0;
-        let userFailureCount = 0;
-        const failedTokens = [];
-
-        for (const token of validTokens) {
-          try {
-            // Create notification message for a single token with optimized delivery settings
-            const isAdmin = data.isUserAdmin === 'true' || 
-                        (data.noticeAuthorId === userId && data.authorIsAdmin === 'true');
-                        
-            if (isAdmin) {
-              console.log(`[NOTIFICATION DEBUG] Preparing community ADMIN notification with special handling for user: ${userId}`);
-            }
-            
-            // Restructuring payload to match exactly what the Flutter app expects
-            const message = {
-              notification: {
-                title,
-                body,
-              },
-              data: {
-                ...stringifiedData,
-                // Add required fields from frontend inspection
-                type: data.type || 'communityNotices',
-                priority: data.priority || 'high',
-                communityId: communityId, // Always include communityId for community notifications
-                isForAdmin: isAdmin ? 'true' : 'false',
-                forceAlert: 'true',
-                // Ensure notificationId is always sent
-                notificationId: notificationId
-              },
-              token: token,
-              android: {
-                priority: 'high',
-                ttl: 60 * 1000, // 1 minute expiration for better real-time delivery
-                notification: {
-                  // Use a different channel for admins to bypass potential channel restrictions
-                  channelId: isAdmin ? 'admin_high_importance_channel' : 'high_importance_channel',
-                  // FCM doesn't support the importance field directly
-                  // Only use fields that FCM API supports
-                  defaultSound: true,
-                  defaultVibrateTimings: true,
-                  visibility: 'public',
-                  sound: 'default', // Explicitly set sound
-                  // Add a tag to make notifications not replace each other
-                  tag: `${data.type || 'communityNotices'}_${Date.now()}`,
-                },
-                directBootOk: true, // Allow delivery during direct boot mode
-              },
-              apns: {
-                headers: {
-                  'apns-priority': '10', // Immediate delivery (10) instead of default (5)
-                  'apns-push-type': 'alert',
-                },
-                payload: {
-                  aps: {
-                    sound: 'default',
-                    badge: 1,
-                    'content-available': 1, // Wakes up the app for processing
-                    'mutable-content': 1,   // Allows notification service extension to modify content
-                    'interruption-level': 'time-sensitive', // iOS 15+ priority
-                    // Add alert category for admin
-                    category: isAdmin ? 'ADMIN_NOTIFICATION' : 'USER_NOTIFICATION',
-                  },
-                },
-              },
-            };
+        outgoing.push({ userId, token, message });
+      }
+    }
 
-            // Send the notification to this token
-            const response = await messaging.send(message);
-            userSuccessCount++;
-            console.log(`[NOTIFICATION SUCCESS] Sent notification to token: ${token.substring(0, 15)}...`);
-            console.log(`[NOTIFICATION DEBUG] FCM response:`, response);
-          } catch (tokenError) {
-            // Check if this is a token-specific error that indicates the token is invalid
-            const isTokenInvalid = 
-              tokenError.code === 'messaging/invalid-argument' ||
-              tokenError.code === 'messaging/invalid-registration-token' ||
-              tokenError.code === 'messaging/registration-token-not-registered' ||
-              tokenError.message?.includes('Invalid registration token') ||
-              tokenError.message?.includes('not a valid FCM registration token');
-            
-            // Detailed logging for better troubleshooting
-            console.error(`[NOTIFICATION ERROR] Failed to send to token ${token.substring(0, 15)}...`);
-            console.error(`[NOTIFICATION ERROR] Error code: ${tokenError.code || 'unknown'}`);
-            console.error(`[NOTIFICATION ERROR] Error message: ${tokenError.message}`);
-            
-            if (isTokenInvalid) {
-              console.error(`[NOTIFICATION ERROR] Token identified as invalid and will be removed`);
-              failedTokens.push(token);
-            } else {
-              console.error(`[NOTIFICATION ERROR] This may be a transient error, not removing token`);
-              // Count as a failure but don't mark token as invalid
-            }
-            
-            userFailureCount++;
-          }
-        }
+    // Per-user delivery counters and tokens FCM reported as invalid
+    const deliveryByUser = new Map(recipients.map(({ userId }) => [
+      userId,
+      { successCount: 0, failureCount: 0, failedTokens: [], transientTokens: [], tokens: [] }
+    ]));
+
+    // Send in chunks of up to 500 messages with a bounded number of chunks in flight
+    const outgoingChunks = chunkArray(outgoing, FCM_BATCH_SIZE);
+    console.log(`[NOTIFICATION DEBUG] Sending ${outgoing.length} messages in ${outgoingChunks.length} batches for community ${communityId}`);
+
+    await runWithConcurrency(outgoingChunks, SEND_CONCURRENCY, async (chunk) => {
+      let responses;
+      try {
+        // FCM only validates the messages in a dry run
+        const batchResponse = await messaging.sendEach(chunk.map(entry => entry.message), dryRun);
+        responses = batchResponse.responses;
+        console.log(`[NOTIFICATION DEBUG] Batch result: ${batchResponse.successCount} successful, ${batchResponse.failureCount} failed`);
+      } catch (batchError) {
+        // The whole batch failed (e.g. network error), treat every message as a transient failure
+        console.error(`[NOTIFICATION ERROR] Failed to send batch of ${chunk.length} messages: ${batchError.message}`);
+        responses = chunk.map(() => ({ success: false, error: batchError, transient: true }));
+      }
 
-        // Remove failed tokens
-        if (failedTokens.length > 0) {
-          const updatedTokens = tokens.filter(tokenData => {
-            const tokenValue = typeof tokenData === 'string' ? tokenData : tokenData.token;
-            return !failedTokens.includes(tokenValue);
+      responses.forEach((response, index) => {
+        const { userId, token } = chunk[index];
+        const delivery = deliveryByUser.get(userId);
+        const tokenError = response.error || {};
+
+        if (dryRun) {
+          delivery.tokens.push({
+            token: `${token.substring(0, 15)}...`,
+            valid: response.success,
+            ...(!response.success && { error: tokenError.code || tokenError.message })
           });
+        }
 
-          try {
-            await db.collection('user_tokens').doc(userId).update({
-              tokens: updatedTokens,
-            });
-            console.log(`Removed ${failedTokens.length} invalid tokens for user ${userId}`);
-          } catch (updateError) {
-            console.error('Error updating tokens:', updateError);
-          }
+        if (response.success) {
+          delivery.successCount++;
+          return;
         }
 
-        const result = {
-          success: userSuccessCount > 0,
-          successCount: userSuccessCount,
-          failureCount: userFailureCount,
-          userId
-        };
+        delivery.failureCount++;
 
-        results.push(result);
+        // Detailed logging for better troubleshooting
+        console.error(`[NOTIFICATION ERROR] Failed to send to token ${token.substring(0, 15)}...`);
+        console.error(`[NOTIFICATION ERROR] Error code: ${tokenError.code || 'unknown'}`);
+        console.error(`[NOTIFICATION ERROR] Error message: ${tokenError.message}`);
 
-        if (result.success) {
-          successCount++;
+        if (!response.transient && isInvalidTokenError(tokenError)) {
+          console.error(`[NOTIFICATION ERROR] Token identified as invalid and will be removed`);
+          delivery.failedTokens.push(token);
+        } else {
+          console.error(`[NOTIFICATION ERROR] This may be a transient error, not removing token`);
+          // Count as a failure but don't mark token as invalid; the queue retries this device
+          delivery.transientTokens.push(token);
         }
+      });
+    });
+
+    // Remove failed tokens (kept in a dry run)
+    const usersWithFailedTokens = dryRun ? [] :
+      recipients.filter(({ userId }) => deliveryByUser.get(userId).failedTokens.length > 0);
+    await runWithConcurrency(usersWithFailedTokens, SEND_CONCURRENCY, async ({ userId, tokens }) => {
+      const { failedTokens } = deliveryByUser.get(userId);
+      const updatedTokens = tokens.filter(tokenData => {
+        const tokenValue = typeof tokenData === 'string' ? tokenData : tokenData.token;
+        return !failedTokens.includes(tokenValue);
+      });
+
+      try {
+        await db.collection('user_tokens').doc(userId).update({
+          tokens: updatedTokens,
+        });
+        console.log(`Removed ${failedTokens.length} invalid tokens for user ${userId}`);
+      } catch (updateError) {
+        console.error('Error updating tokens:', updateError);
+      }
+    });
 
-        // Use a shorter delay to improve real-time delivery while still avoiding rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (userError) {
-        console.error(`Error sending notification to user ${userId}:`, userError);
-        results.push({ success: false, error: userError.message, userId });
+    let successCount = 0;
+    const failedTransiently = {};
+    for (const { userId } of recipients) {
+      const delivery = deliveryByUser.get(userId);
+      if (!dryRun && delivery.transientTokens.length > 0) {
+        failedTransiently[userId] = delivery.transientTokens;
+      }
+      const result = {
+        success: delivery.successCount > 0,
+        successCount: delivery.successCount,
+        failureCount: delivery.failureCount,
+        userId,
+        ...(dryRun && { ...textByUser.get(userId), tokens: delivery.tokens })
+      };
+
+      results.push(result);
+
+      if (result.success) {
+        successCount++;
       }
     }
 
@@ -759,11 +1259,106 @@ const sendNotificationToCommunity = async (communityId, title, body, data = {},
       sentCount: successCount,
       totalUsers: userDocs.length,
       notificationId,
+      ...(Object.keys(failedTransiently).length > 0 && { retryTokens: failedTransiently }),
       results
     };
   } catch (error) {
     console.error('Error sending community notification:', error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, ...(notificationId && { notificationId }) };
+  }
+};
+
+// Build a data-only message: nothing is displayed, the app handles data in the background
+// iOS gets it as a background push (content-available), Android at normal priority
+function buildDataMessage(token, data, collapseKey) {
+  return {
+    token,
+    data,
+    android: {
+      priority: 'normal',
+      ttl: DATA_MESSAGE_TTL_MS,
+      ...(collapseKey && { collapseKey }),
+    },
+    apns: {
+      headers: {
+        'apns-push-type': 'background',
+        // Background pushes must use priority 5
+        'apns-priority': '5',
+        ...(collapseKey && { 'apns-collapse-id': collapseKey }),
+      },
+      payload: {
+        aps: {
+          'content-available': 1,
+        },
+      },
+    },
+  };
+}
+
+// Send a data-only message to all of a user's devices, e.g. a hint to refresh cached data
+// Nothing is shown, so preferences, quiet hours and rate limits do not apply and nothing is
+// stored in the inbox
+// Options: collapseKey - a newer message with the same key replaces an undelivered older one
+//          excludeToken - a device that should not get the message
+//          dryRun - validate the messages with FCM without delivering them
+const sendDataMessageToUser = async (userId, data = {}, options = {}) => {
+  const requestId = `data_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+  const dryRun = options.dryRun === true;
+
+  try {
+    const db = getFirestore();
+    const userTokensDoc = await db.collection('user_tokens').doc(userId).get();
+    const allTokens = userTokensDoc.exists ? userTokensDoc.data().tokens || [] : [];
+    const tokens = getTokenValues(allTokens, { loggedOut: false })
+      .filter(token => token !== options.excludeToken);
+
+    if (tokens.length === 0) {
+      console.log(`[NOTIFICATION DEBUG] [${requestId}] No tokens for data message to user ${userId}`);
+      return { success: false, error: 'No tokens found', requestId };
+    }
+
+    // FCM data values must be strings
+    const stringifiedData = { timestamp: Date.now().toString() };
+    Object.entries(data).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        stringifiedData[key] = typeof value === 'string' ? value : JSON.stringify(value);
+      }
+    });
+
+    const messaging = getTransport();
+    const failedTokens = [];
+    let successCount = 0;
+    let failureCount = 0;
+
+    for (const chunk of chunkArray(tokens, FCM_BATCH_SIZE)) {
+      const response = await messaging.sendEach(chunk.map(token => buildDataMessage(token, stringifiedData, options.collapseKey)), dryRun);
+      successCount += response.successCount;
+      failureCount += response.failureCount;
+      response.responses.forEach((result, index) => {
+        if (!result.success && isInvalidTokenError(result.error)) {
+          failedTokens.push(chunk[index]);
+        }
+      });
+    }
+
+    console.log(`[NOTIFICATION SUMMARY] [${requestId}] Data message ${data.type || 'data'} to ${userId}: ${successCount} successful, ${failureCount} failed${dryRun ? ' (dry run)' : ''}`);
+
+    // Remove invalid tokens
+    if (!dryRun && failedTokens.length > 0) {
+      try {
+        await db.collection('user_tokens').doc(userId).update({
+          tokens: allTokens.filter(tokenData => !failedTokens.includes(typeof tokenData === 'string' ? tokenData : tokenData.token)),
+        });
+        console.log(`[NOTIFICATION DEBUG] [${requestId}] Removed ${failedTokens.length} invalid tokens for user ${userId}`);
+      } catch (updateError) {
+        console.error(`[NOTIFICATION ERROR] [${requestId}] Error updating tokens:`, updateError);
+      }
+    }
+
+    return { success: successCount > 0, successCount, failureCount, requestId };
+  } catch (error) {
+    console.error(`[NOTIFICATION ERROR] [${requestId}] Error sending data message to user ${userId}:`, error);
+    return { success: false, error: error.message, requestId };
   }
 };
 
@@ -799,6 +1394,9 @@ const getUserNotifications = async (userId, limit = 20, offset = 0) => {
     const communityNotifications = [];
     const userNotifications = [];
 
+    // Community records are stored once in the default locale and re-rendered for the reader
+    const locale = await getLocaleForUser(userId);
+
     // Process in batches to avoid excessive parallel queries
     const batchSize = 10;
     for (let i = 0; i < notificationIds.length; i += batchSize) {
@@ -818,7 +1416,15 @@ const getUserNotifications = async (userId, limit = 20, offset = 0) => {
           const statusInfo = communityBatch[j];
 
           if (doc.exists) {
-            const notificationData = doc.data();
+            let notificationData = doc.data();
+            if (notificationData.template && locale !== DEFAULT_LOCALE) {
+              try {
+                const rendered = renderTemplate(notificationData.template.key, locale, notificationData.template.params);
+                notificationData = { ...notificationData, ...rendered };
+              } catch (error) {
+                console.error(`[NOTIFICATION ERROR] Error rendering notification ${doc.id} in ${locale}: ${error.message}`);
+              }
+            }
             communityNotifications.push({
               id: doc.id,
               statusId: statusInfo.statusId,
@@ -1067,6 +1673,7 @@ setInterval(async () => {
 module.exports = {
   sendNotificationToUser,
   sendNotificationToCommunity,
+  sendDataMessageToUser,
   getUserNotifications,
   markNotificationAsRead,
   markAllNotificationsAsRead,
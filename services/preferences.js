@@ -0,0 +1,216 @@
+// Notification preferences
+// Users can switch notifications on or off at four levels, from general to specific:
+//   type       notificationPreferences.socialInteractions
+//   subtype    notificationPreferences.socialInteractions.subtypes.like
+//   community  notificationPreferences.communities[communityId] (all types), or a type or subtype in it
+//   channel    { channels: { push, email, sms } } on any of the above
+// A setting is true, false or an object { enabled, channels, subtypes }. The most specific setting
+// that says anything about the channel wins, so a user can turn off social interactions but keep
+// comments, or mute marketplace in one community only. The original type booleans
+// ({ marketplace: false }) are type-level settings and keep working.
+
+// Subtypes of each notification type, worked out from the notification's data (see getNotificationSubtype)
+const NOTIFICATION_SUBTYPES = {
+  communityNotices: ['notice'],
+  socialInteractions: ['comment', 'reply', 'mention', 'like'],
+  marketplace: ['newItem', 'review', 'status'],
+  chat: ['message'],
+  reports: ['newReport', 'status'],
+  volunteer: ['newPost', 'join', 'joinConfirmation'],
+};
+const NOTIFICATION_CHANNELS = ['push', 'email', 'sms'];
+// Keeps the preferences document well under Firestore's size limit
+const MAX_COMMUNITY_OVERRIDES = 50;
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isTrue = (value) => value === true || value === 'true';
+
+// Get the subtype of a notification, or null for types without subtypes
+// Senders can set data.subtype; otherwise it follows from the fields the monitors send
+const getNotificationSubtype = (data = {}) => {
+  if (data.subtype) {
+    return data.subtype;
+  }
+  switch (data.type) {
+    case 'communityNotices':
+      return 'notice';
+    case 'socialInteractions':
+      if (data.likerId) return 'like';
+      if (isTrue(data.mentioned)) return 'mention';
+      return data.replyId ? 'reply' : 'comment';
+    case 'marketplace':
+      if (isTrue(data.isForAdmin)) return 'review';
+      return data.status ? 'status' : 'newItem';
+    case 'chat':
+      return 'message';
+    case 'reports':
+      return data.status ? 'status' : 'newReport';
+    case 'volunteer':
+      if (data.joinerId) return 'join';
+      return data.status === 'joined' ? 'joinConfirmation' : 'newPost';
+    default:
+      return null;
+  }
+};
+
+// Helper function to get what a setting says about a channel: true, false or undefined
+// A channel entry beats the setting's own enabled flag
+const getSettingValue = (setting, channel) => {
+  if (typeof setting === 'boolean') {
+    return setting;
+  }
+  if (!isPlainObject(setting)) {
+    return undefined;
+  }
+  if (isPlainObject(setting.channels) && typeof setting.channels[channel] === 'boolean') {
+    return setting.channels[channel];
+  }
+  return typeof setting.enabled === 'boolean' ? setting.enabled : undefined;
+};
+
+// Helper function to get the subtype setting inside a type setting
+const getSubtypeSetting = (setting, subtype) =>
+  subtype && isPlainObject(setting) && isPlainObject(setting.subtypes) ? setting.subtypes[subtype] : undefined;
+
+// Work out whether a notification may be sent to a user over a channel
+// Returns { enabled, level, subtype } where level is the setting that decided
+// ('community subtype', 'community type', 'community', 'subtype', 'type' or 'default')
+const resolvePreference = (preferences = {}, data = {}, channel = 'push') => {
+  const type = data.type;
+  if (!type) {
+    return { enabled: true, level: 'default', subtype: null };
+  }
+
+  const subtype = getNotificationSubtype(data);
+  const typeSetting = preferences[type];
+  const community = data.communityId && isPlainObject(preferences.communities) ?
+    preferences.communities[data.communityId] :
+    undefined;
+  const communityTypeSetting = isPlainObject(community) ? community[type] : undefined;
+
+  const levels = [
+    ['community subtype', getSubtypeSetting(communityTypeSetting, subtype)],
+    ['community type', communityTypeSetting],
+    ['community', community],
+    ['subtype', getSubtypeSetting(typeSetting, subtype)],
+    ['type', typeSetting],
+  ];
+  for (const [level, setting] of levels) {
+    const value = getSettingValue(setting, channel);
+    if (value !== undefined) {
+      return { enabled: value, level, subtype };
+    }
+  }
+  return { enabled: true, level: 'default', subtype };
+};
+
+// Check whether a notification may be sent to a user over a channel
+const isNotificationEnabled = (preferences, data, channel = 'push') =>
+  resolvePreference(preferences, data, channel).enabled;
+
+// Helper function to validate a channels object, returns an error message or null
+const validateChannels = (channels, path) => {
+  if (!isPlainObject(channels)) {
+    return `${path} must be an object`;
+  }
+  for (const [channel, enabled] of Object.entries(channels)) {
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      return `${path}.${channel} is not a channel (${NOTIFICATION_CHANNELS.join(', ')})`;
+    }
+    if (typeof enabled !== 'boolean') {
+      return `${path}.${channel} must be true or false`;
+    }
+  }
+  return null;
+};
+
+// Helper function to validate a type or subtype setting, returns an error message or null
+// subtypes lists the subtypes allowed in it, or is null for a subtype setting
+const validateSetting = (setting, path, subtypes) => {
+  if (typeof setting === 'boolean') {
+    return null;
+  }
+  if (!isPlainObject(setting)) {
+    return `${path} must be true, false or an object`;
+  }
+  for (const [key, value] of Object.entries(setting)) {
+    if (key === 'enabled') {
+      if (typeof value !== 'boolean') {
+        return `${path}.enabled must be true or false`;
+      }
+    } else if (key === 'channels') {
+      const error = validateChannels(value, `${path}.channels`);
+      if (error) return error;
+    } else if (key === 'subtypes' && subtypes) {
+      if (!isPlainObject(value)) {
+        return `${path}.subtypes must be an object`;
+      }
+      for (const [subtype, subtypeSetting] of Object.entries(value)) {
+        if (!subtypes.includes(subtype)) {
+          return `${path}.subtypes.${subtype} is not supported (${subtypes.join(', ')})`;
+        }
+        const error = validateSetting(subtypeSetting, `${path}.subtypes.${subtype}`, null);
+        if (error) return error;
+      }
+    } else {
+      return `${path}.${key} is not a supported setting`;
+    }
+  }
+  return null;
+};
+
+// Validate the type, subtype and community settings of a preferences object
+// Other preferences (quietHours, digest, ...) are validated by their own services
+// Returns an error message or null
+const validateNotificationPreferences = (preferences) => {
+  for (const [type, subtypes] of Object.entries(NOTIFICATION_SUBTYPES)) {
+    if (preferences[type] !== undefined) {
+      const error = validateSetting(preferences[type], type, subtypes);
+      if (error) return error;
+    }
+  }
+
+  if (preferences.communities === undefined) {
+    return null;
+  }
+  if (!isPlainObject(preferences.communities)) {
+    return 'communities must be an object';
+  }
+  const communityIds = Object.keys(preferences.communities);
+  if (communityIds.length > MAX_COMMUNITY_OVERRIDES) {
+    return `communities can have at most ${MAX_COMMUNITY_OVERRIDES} entries`;
+  }
+  for (const communityId of communityIds) {
+    const community = preferences.communities[communityId];
+    const path = `communities.${communityId}`;
+    if (typeof community === 'boolean') {
+      continue;
+    }
+    if (!isPlainObject(community)) {
+      return `${path} must be true, false or an object`;
+    }
+    for (const [key, value] of Object.entries(community)) {
+      let error;
+      if (key === 'enabled') {
+        error = typeof value === 'boolean' ? null : `${path}.enabled must be true or false`;
+      } else if (key === 'channels') {
+        error = validateChannels(value, `${path}.channels`);
+      } else if (NOTIFICATION_SUBTYPES[key]) {
+        error = validateSetting(value, `${path}.${key}`, NOTIFICATION_SUBTYPES[key]);
+      } else {
+        error = `${path}.${key} is not a notification type`;
+      }
+      if (error) return error;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  NOTIFICATION_SUBTYPES,
+  NOTIFICATION_CHANNELS,
+  getNotificationSubtype,
+  resolvePreference,
+  isNotificationEnabled,
+  validateNotificationPreferences
+};
@@ -0,0 +1,80 @@
+// Priority classes
+// Each notification type maps to a priority class that decides how long FCM keeps trying to
+// reach an offline device and how urgently Android and iOS present the notification.
+//
+// The mapping can be overridden with the NOTIFICATION_PRIORITIES environment variable, e.g.
+//   NOTIFICATION_PRIORITIES='{"volunteer":"high"}'
+// A single send can also choose its class with data.priorityClass.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PRIORITY_CLASSES = {
+  // Safety and report updates: delivered immediately and kept for a day
+  critical: { ttlMs: 24 * HOUR_MS, androidPriority: 'high', apnsPriority: '10', interruptionLevel: 'time-sensitive' },
+  // Conversations: immediate, but stale after an hour
+  high: { ttlMs: HOUR_MS, androidPriority: 'high', apnsPriority: '10', interruptionLevel: 'time-sensitive' },
+  // Announcements and listings: may be batched by the OS, still relevant for days
+  normal: { ttlMs: 3 * 24 * HOUR_MS, androidPriority: 'normal', apnsPriority: '5', interruptionLevel: 'active' },
+  // Social activity: shown quietly, no need to wake the device
+  low: { ttlMs: 24 * HOUR_MS, androidPriority: 'normal', apnsPriority: '5', interruptionLevel: 'passive' },
+};
+
+// Default priority class per notification type
+const DEFAULT_TYPE_PRIORITIES = {
+  emergency: 'critical',
+  reports: 'critical',
+  chat: 'high',
+  volunteer: 'high',
+  communityNotices: 'normal',
+  marketplace: 'normal',
+  general: 'normal',
+  summary: 'low',
+  socialInteractions: 'low',
+};
+
+// Helper function to read type overrides from the environment
+const loadTypePriorities = () => {
+  if (!process.env.NOTIFICATION_PRIORITIES) {
+    return DEFAULT_TYPE_PRIORITIES;
+  }
+  try {
+    const overrides = JSON.parse(process.env.NOTIFICATION_PRIORITIES);
+    const invalid = Object.entries(overrides).filter(([, priorityClass]) => !PRIORITY_CLASSES[priorityClass]);
+    if (invalid.length > 0) {
+      throw new Error(`Unknown priority class for ${invalid.map(([type]) => type).join(', ')}`);
+    }
+    return { ...DEFAULT_TYPE_PRIORITIES, ...overrides };
+  } catch (error) {
+    console.error('[PRIORITY ERROR] Invalid NOTIFICATION_PRIORITIES, using defaults:', error.message);
+    return DEFAULT_TYPE_PRIORITIES;
+  }
+};
+
+const typePriorities = loadTypePriorities();
+
+// Priority class name for a notification's data payload
+const getPriorityClass = (data = {}) => {
+  if (data.priorityClass && PRIORITY_CLASSES[data.priorityClass]) {
+    return data.priorityClass;
+  }
+  return typePriorities[data.type] || typePriorities.general;
+};
+
+// Delivery settings for a notification's data payload
+// Returns { priorityClass, ttlMs, androidPriority, apnsPriority, interruptionLevel, apnsExpiration }
+const getDeliverySettings = (data = {}, now = Date.now()) => {
+  const priorityClass = getPriorityClass(data);
+  const settings = PRIORITY_CLASSES[priorityClass];
+  return {
+    priorityClass,
+    ...settings,
+    // APNs wants the expiry as a UNIX timestamp in seconds
+    apnsExpiration: String(Math.floor((now + settings.ttlMs) / 1000)),
+  };
+};
+
+module.exports = {
+  PRIORITY_CLASSES,
+  getPriorityClass,
+  getDeliverySettings
+};
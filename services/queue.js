@@ -0,0 +1,495 @@
+const admin = require('firebase-admin');
+const { getFirestore } = require('./firebase');
+const { sendNotificationToUser, sendNotificationToCommunity } = require('./notifications');
+
+// Outbound notification queue
+// Every send is persisted as a job in Firestore before it is delivered, so a server
+// restart or an FCM outage delays notifications instead of dropping them.
+//
+// Job lifecycle: pending -> processing -> completed
+//                                      -> pending (retry with backoff) -> ... -> dead
+//
+// Scheduled notifications are jobs that start as "scheduled" with nextAttemptAt set to the
+// requested send time. Until the worker claims them they can be edited or cancelled.
+//
+// Only jobs that still need work carry a nextAttemptAt timestamp. The worker polls on that
+// single field, which avoids the need for a composite index. A job in "processing" has
+// nextAttemptAt set to the end of its lease, so a job abandoned by a crashed instance is
+// picked up again once the lease expires.
+
+const QUEUE_COLLECTION = 'notification_queue';
+
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5;
+const BASE_RETRY_DELAY_MS = parseInt(process.env.QUEUE_BASE_RETRY_DELAY_MS) || 5 * 1000;
+const MAX_RETRY_DELAY_MS = parseInt(process.env.QUEUE_MAX_RETRY_DELAY_MS) || 10 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 10 * 1000;
+const PROCESSING_LEASE_MS = 2 * 60 * 1000;
+const POLL_BATCH_SIZE = 20;
+
+// Failures that retrying will not fix
+const PERMANENT_ERRORS = [
+  'No tokens found',
+  'Notification type disabled by user',
+  'Self-notification prevented',
+  'Invalid community ID',
+  'No users found in community',
+  'No valid tokens found after filtering',
+];
+
+// Helper function to convert a Firestore timestamp to milliseconds
+const toMillis = (timestamp) => {
+  if (!timestamp) return 0;
+  return timestamp.toMillis ?
+    timestamp.toMillis() :
+    (timestamp._seconds ? timestamp._seconds * 1000 : 0);
+};
+
+// Exponential backoff with jitter: 5s, 10s, 20s, ... capped at MAX_RETRY_DELAY_MS
+const getRetryDelay = (attempts) => {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Check whether a community send left devices that failed with a transient error
+const hasRetryTokens = (result) => !!(result && result.retryTokens && Object.keys(result.retryTokens).length > 0);
+
+// Decide whether a failed send is worth another attempt
+// A community send that reached most members is still retried for the devices that failed
+// with a transient error (see hasRetryTokens)
+const isRetryable = (result) => {
+  if (hasRetryTokens(result)) {
+    return true;
+  }
+  if (!result || result.success) {
+    return false;
+  }
+
+  if (result.error) {
+    return !PERMANENT_ERRORS.includes(result.error);
+  }
+
+  // No error message means FCM rejected the sends themselves
+  return result.failureCount > 0;
+};
+
+// Keep the stored result small (community results list every member, retryTokens every
+// device to retry, which is kept on the payload instead)
+const summarizeResult = (result) => {
+  if (!result) return null;
+  const { results, retryTokens, ...summary } = result;
+  if (retryTokens) {
+    summary.retryRecipients = Object.keys(retryTokens).length;
+  }
+  return JSON.parse(JSON.stringify(summary));
+};
+
+// Deliver a job using the regular send functions
+const deliverJob = async (job) => {
+  const { payload } = job;
+  // Each attempt gets a fresh copy, the send functions mutate their data argument
+  const data = { ...(payload.data || {}) };
+
+  const sendOptions = {
+    ...(payload.template && { template: payload.template }),
+    ...(payload.useTopic && { useTopic: true }),
+    // Set after the first attempt of a community job stored the notification
+    ...(payload.notificationId && { notificationId: payload.notificationId }),
+    // Set when an attempt left some members' devices to retry
+    ...(payload.retryTokens && { retryTokens: payload.retryTokens }),
+  };
+
+  if (job.kind === 'community') {
+    return sendNotificationToCommunity(payload.communityId, payload.title, payload.body, data, payload.excludeUserId || null, sendOptions);
+  }
+
+  return sendNotificationToUser(payload.userId, payload.title, payload.body, data, sendOptions);
+};
+
+// Run one delivery attempt for a job that has already been claimed
+const processJob = async (jobRef, job) => {
+  const attempts = (job.attempts || 0) + 1;
+  const jobLabel = `${job.kind} job ${jobRef.id}`;
+
+  let result;
+  try {
+    result = await deliverJob(job);
+  } catch (error) {
+    console.error(`[QUEUE ERROR] Attempt ${attempts} for ${jobLabel} threw:`, error);
+    result = { success: false, error: error.message };
+  }
+
+  const update = {
+    attempts,
+    lastAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    result: summarizeResult(result),
+  };
+
+  // Reuse the inbox entry created by the first attempt so retries don't duplicate it
+  // (local_ IDs mean storing failed, so a retry tries again)
+  const storedNotificationId = result && result.notificationId && !String(result.notificationId).startsWith('local_') ?
+    result.notificationId :
+    null;
+  if (job.kind === 'user' && storedNotificationId && !job.payload.data?.notificationId) {
+    update['payload.data.notificationId'] = storedNotificationId;
+  }
+  if (job.kind === 'community' && storedNotificationId && !job.payload.notificationId) {
+    update['payload.notificationId'] = storedNotificationId;
+  }
+  // Later attempts only go to the devices that failed with a transient error
+  if (job.kind === 'community' && hasRetryTokens(result)) {
+    update['payload.retryTokens'] = result.retryTokens;
+  }
+
+  let status;
+  if (!isRetryable(result)) {
+    status = 'completed';
+    update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+    update.nextAttemptAt = admin.firestore.FieldValue.delete();
+    console.log(`[QUEUE] Completed ${jobLabel} after ${attempts} attempt(s), success: ${!!(result && result.success)}`);
+  } else if (attempts >= (job.maxAttempts || MAX_ATTEMPTS)) {
+    status = 'dead';
+    update.deadAt = admin.firestore.FieldValue.serverTimestamp();
+    update.lastError = result.error || (result.success ? 'Some members failed' : 'All sends failed');
+    update.nextAttemptAt = admin.firestore.FieldValue.delete();
+    console.error(`[QUEUE ERROR] Moved ${jobLabel} to dead letter after ${attempts} attempts: ${update.lastError}`);
+  } else {
+    status = 'pending';
+    const delay = getRetryDelay(attempts);
+    update.lastError = result.error || (result.success ? 'Some members failed' : 'All sends failed');
+    update.nextAttemptAt = admin.firestore.Timestamp.fromMillis(Date.now() + delay);
+    console.log(`[QUEUE] Attempt ${attempts} for ${jobLabel} failed (${update.lastError}), retrying in ${Math.round(delay / 1000)}s`);
+  }
+
+  update.status = status;
+
+  try {
+    await jobRef.update(update);
+  } catch (error) {
+    console.error(`[QUEUE ERROR] Failed to update ${jobLabel}:`, error);
+  }
+
+  return { jobId: jobRef.id, status, attempts, result };
+};
+
+// Persist a job and make the first delivery attempt straight away
+const enqueue = async (kind, payload, options = {}) => {
+  const db = getFirestore();
+  // Strip undefined values, which Firestore rejects
+  const storedPayload = JSON.parse(JSON.stringify(payload));
+
+  const job = {
+    kind,
+    payload: storedPayload,
+    status: 'processing',
+    attempts: 0,
+    maxAttempts: options.maxAttempts || MAX_ATTEMPTS,
+    source: options.source || 'system',
+    // Lease for the first attempt, the worker takes over if this instance dies mid-send
+    nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + PROCESSING_LEASE_MS),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  let jobRef;
+  try {
+    jobRef = await db.collection(QUEUE_COLLECTION).add(job);
+    console.log(`[QUEUE] Enqueued ${kind} job ${jobRef.id} from ${job.source}`);
+  } catch (error) {
+    // Never lose a notification because the queue itself is unavailable
+    console.error(`[QUEUE ERROR] Failed to persist ${kind} job, delivering without queue:`, error);
+    const result = await deliverJob(job);
+    return { jobId: null, status: 'unqueued', attempts: 1, result };
+  }
+
+  return processJob(jobRef, job);
+};
+
+// Persist a job that the worker delivers at sendAt (milliseconds)
+const schedule = async (kind, payload, sendAt, options = {}) => {
+  const db = getFirestore();
+
+  const job = {
+    kind,
+    // Strip undefined values, which Firestore rejects
+    payload: JSON.parse(JSON.stringify(payload)),
+    status: 'scheduled',
+    attempts: 0,
+    maxAttempts: options.maxAttempts || MAX_ATTEMPTS,
+    source: options.source || 'system',
+    createdBy: options.createdBy || null,
+    scheduledFor: admin.firestore.Timestamp.fromMillis(sendAt),
+    nextAttemptAt: admin.firestore.Timestamp.fromMillis(sendAt),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  const jobRef = await db.collection(QUEUE_COLLECTION).add(job);
+  console.log(`[QUEUE] Scheduled ${kind} job ${jobRef.id} from ${job.source} for ${new Date(sendAt).toISOString()}`);
+
+  return { jobId: jobRef.id, status: 'scheduled', sendAt: new Date(sendAt).toISOString() };
+};
+
+// Queue a notification for a specific user
+// With options.template the title and body are rendered in the recipient's locale at send time
+const queueUserNotification = (userId, title, body, data = {}, options = {}) =>
+  enqueue('user', { userId, title, body, data, template: options.template }, options);
+
+// Queue a notification for all users in a community
+// With options.useTopic it goes out as one send to the community topic
+const queueCommunityNotification = (communityId, title, body, data = {}, excludeUserId = null, options = {}) =>
+  enqueue('community', { communityId, title, body, data, excludeUserId, template: options.template, useTopic: options.useTopic === true }, options);
+
+// Schedule a notification for a specific user
+const scheduleUserNotification = (userId, title, body, data = {}, sendAt, options = {}) =>
+  schedule('user', { userId, title, body, data, template: options.template }, sendAt, options);
+
+// Schedule a notification for all users in a community
+const scheduleCommunityNotification = (communityId, title, body, data = {}, excludeUserId = null, sendAt, options = {}) =>
+  schedule('community', { communityId, title, body, data, excludeUserId, template: options.template, useTopic: options.useTopic === true }, sendAt, options);
+
+// Parse a requested send time (ISO string or milliseconds), returns milliseconds or null
+const parseSendAt = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const sendAt = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(sendAt) ? sendAt : null;
+};
+
+// Helper function to describe a scheduled job for API responses
+const formatScheduledJob = (jobId, job) => ({
+  jobId,
+  kind: job.kind,
+  status: job.status,
+  sendAt: job.scheduledFor ? new Date(toMillis(job.scheduledFor)).toISOString() : null,
+  userId: job.payload.userId,
+  communityId: job.payload.communityId,
+  excludeUserId: job.payload.excludeUserId,
+  title: job.payload.title,
+  body: job.payload.body,
+  data: job.payload.data || {},
+  createdBy: job.createdBy || null,
+  source: job.source,
+});
+
+// Pending scheduled notifications, soonest first
+// Pass createdBy to only list the notifications a user scheduled
+const listScheduledNotifications = async (createdBy = null) => {
+  const snapshot = await getFirestore().collection(QUEUE_COLLECTION)
+    .where('status', '==', 'scheduled')
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, job: doc.data() }))
+    .filter(({ job }) => !createdBy || job.createdBy === createdBy)
+    .sort((a, b) => toMillis(a.job.scheduledFor) - toMillis(b.job.scheduledFor))
+    .map(({ id, job }) => formatScheduledJob(id, job));
+};
+
+// Get a scheduled job in any state, or null if it is not a scheduled notification
+const getScheduledNotification = async (jobId) => {
+  const jobDoc = await getFirestore().collection(QUEUE_COLLECTION).doc(jobId).get();
+  if (!jobDoc.exists || !jobDoc.data().scheduledFor) {
+    return null;
+  }
+  return formatScheduledJob(jobDoc.id, jobDoc.data());
+};
+
+// Change a scheduled notification that has not been sent yet
+// Changes: { title, body, data, sendAt, excludeUserId } - sendAt in milliseconds
+// Throws if the job is no longer scheduled
+const updateScheduledNotification = async (jobId, changes) => {
+  const db = getFirestore();
+  const jobRef = db.collection(QUEUE_COLLECTION).doc(jobId);
+
+  const job = await db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists || jobDoc.data().status !== 'scheduled') {
+      throw new Error('Scheduled notification not found or already sent');
+    }
+
+    const current = jobDoc.data();
+    const payload = { ...current.payload };
+    ['title', 'body', 'data'].forEach(field => {
+      if (changes[field] !== undefined) {
+        payload[field] = changes[field];
+      }
+    });
+    if (current.kind === 'community' && changes.excludeUserId !== undefined) {
+      payload.excludeUserId = changes.excludeUserId;
+    }
+
+    const update = {
+      payload: JSON.parse(JSON.stringify(payload)),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (changes.sendAt) {
+      update.scheduledFor = admin.firestore.Timestamp.fromMillis(changes.sendAt);
+      update.nextAttemptAt = admin.firestore.Timestamp.fromMillis(changes.sendAt);
+    }
+
+    transaction.update(jobRef, update);
+    return { ...current, ...update };
+  });
+
+  console.log(`[QUEUE] Updated scheduled job ${jobId}`);
+  return formatScheduledJob(jobId, job);
+};
+
+// Cancel a scheduled notification that has not been sent yet
+// Throws if the job is no longer scheduled
+const cancelScheduledNotification = async (jobId, cancelledBy = null) => {
+  const db = getFirestore();
+  const jobRef = db.collection(QUEUE_COLLECTION).doc(jobId);
+
+  await db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists || jobDoc.data().status !== 'scheduled') {
+      throw new Error('Scheduled notification not found or already sent');
+    }
+
+    transaction.update(jobRef, {
+      status: 'cancelled',
+      cancelledBy,
+      nextAttemptAt: admin.firestore.FieldValue.delete(),
+      // Cancelled jobs are cleaned up with completed ones
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+
+  console.log(`[QUEUE] Cancelled scheduled job ${jobId}`);
+};
+
+// Atomically take ownership of a due job so only one worker delivers it
+const claimJob = async (db, jobRef) => {
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists) {
+      return null;
+    }
+
+    const job = jobDoc.data();
+    const isActive = job.status === 'pending' || job.status === 'processing' || job.status === 'scheduled';
+    if (!isActive || toMillis(job.nextAttemptAt) > Date.now()) {
+      return null;
+    }
+
+    transaction.update(jobRef, {
+      status: 'processing',
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + PROCESSING_LEASE_MS),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return job;
+  });
+};
+
+// Deliver every job whose retry time (or processing lease) has passed
+const processDueJobs = async () => {
+  const db = getFirestore();
+
+  const dueSnapshot = await db.collection(QUEUE_COLLECTION)
+    .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+    .orderBy('nextAttemptAt', 'asc')
+    .limit(POLL_BATCH_SIZE)
+    .get();
+
+  if (dueSnapshot.empty) {
+    return { processed: 0 };
+  }
+
+  console.log(`[QUEUE] Found ${dueSnapshot.size} due jobs`);
+
+  let processed = 0;
+  for (const doc of dueSnapshot.docs) {
+    try {
+      const job = await claimJob(db, doc.ref);
+      if (!job) {
+        continue;
+      }
+
+      await processJob(doc.ref, job);
+      processed++;
+    } catch (error) {
+      console.error(`[QUEUE ERROR] Error processing job ${doc.id}:`, error);
+    }
+  }
+
+  return { processed };
+};
+
+// Delete completed jobs to save storage (dead jobs are kept for inspection)
+const cleanupCompletedJobs = async (olderThanDays = 7) => {
+  try {
+    const db = getFirestore();
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+
+    const oldJobs = await db.collection(QUEUE_COLLECTION)
+      .where('completedAt', '<=', cutoff)
+      .limit(500)
+      .get();
+
+    if (oldJobs.empty) {
+      return { success: true, count: 0 };
+    }
+
+    const batch = db.batch();
+    oldJobs.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+
+    console.log(`[QUEUE] Cleaned up ${oldJobs.size} completed jobs older than ${olderThanDays} days`);
+    return { success: true, count: oldJobs.size };
+  } catch (error) {
+    console.error('[QUEUE ERROR] Error cleaning up completed jobs:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Start polling for due jobs
+let workerStarted = false;
+const startQueueWorker = () => {
+  if (workerStarted) {
+    return;
+  }
+  workerStarted = true;
+
+  console.log(`Starting notification queue worker (poll every ${POLL_INTERVAL_MS / 1000}s, max ${MAX_ATTEMPTS} attempts)...`);
+
+  let polling = false;
+  const poll = async () => {
+    // Skip this tick if the previous poll is still delivering
+    if (polling) return;
+    polling = true;
+    try {
+      await processDueJobs();
+    } catch (error) {
+      console.error('[QUEUE ERROR] Error polling notification queue:', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  // Pick up jobs left over from before a restart right away
+  poll();
+  setInterval(poll, POLL_INTERVAL_MS);
+
+  // Clean up completed jobs once a day
+  setInterval(() => cleanupCompletedJobs(7), 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+  queueUserNotification,
+  queueCommunityNotification,
+  scheduleUserNotification,
+  scheduleCommunityNotification,
+  parseSendAt,
+  listScheduledNotifications,
+  getScheduledNotification,
+  updateScheduledNotification,
+  cancelScheduledNotification,
+  processDueJobs,
+  cleanupCompletedJobs,
+  startQueueWorker
+};
@@ -0,0 +1,236 @@
+const admin = require('firebase-admin');
+const { getFirestore } = require('./firebase');
+const { renderTemplate, getLocaleForUser } = require('./templates');
+
+// Quiet hours
+// Users set notificationPreferences.quietHours in their user_tokens document:
+//   { enabled: true, start: '22:00', end: '07:00', timezone: 'Asia/Manila' }
+// Non-urgent pushes that arrive inside the window are stored in deferred_notifications
+// and delivered when the window ends (as a single summary if several piled up).
+// The same store holds pushes that were held back by the per-user rate limiter.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Manila';
+const FLUSH_INTERVAL_MS = 60 * 1000;
+
+// Notification types that are always delivered immediately
+const QUIET_HOURS_EXEMPT_TYPES = ['reports', 'emergency'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Helper function to convert "HH:MM" to minutes since midnight
+const parseTime = (value) => {
+  const match = TIME_PATTERN.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+};
+
+// Helper function to check that a timezone name is known to the runtime
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validate a quietHours preference object, returns an error message or null
+const validateQuietHours = (quietHours) => {
+  if (typeof quietHours !== 'object' || quietHours === null) {
+    return 'quietHours must be an object';
+  }
+  if (parseTime(quietHours.start) === null || parseTime(quietHours.end) === null) {
+    return 'quietHours.start and quietHours.end must use HH:MM (24-hour) format';
+  }
+  if (quietHours.timezone && !isValidTimezone(quietHours.timezone)) {
+    return `Unknown timezone: ${quietHours.timezone}`;
+  }
+  return null;
+};
+
+// Minutes since midnight for the given instant in the given timezone
+const getLocalMinutes = (timestampMs, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(timestampMs));
+
+  const hour = parseInt(parts.find(part => part.type === 'hour').value);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+};
+
+// Timezone for a user's local-time features (quiet hours, daily digests)
+const getUserTimezone = (preferences = {}) => {
+  const candidates = [preferences.timezone, preferences.quietHours && preferences.quietHours.timezone];
+  return candidates.find(timezone => timezone && isValidTimezone(timezone)) || DEFAULT_TIMEZONE;
+};
+
+// Next instant (in milliseconds) at which the local clock in the timezone shows "HH:MM"
+const getNextLocalTime = (time, timezone, now = Date.now()) => {
+  const target = parseTime(time);
+  const current = getLocalMinutes(now, timezone);
+  const minutesUntil = (target - current + 24 * 60) % (24 * 60) || 24 * 60;
+  const startOfMinute = now - (now % (60 * 1000));
+  return startOfMinute + minutesUntil * 60 * 1000;
+};
+
+// Check whether a user's quiet hours are active right now
+// Takes the user's notification preferences, so quiet hours use the same timezone as digests
+// Returns { active: false } or { active: true, endsAt } where endsAt is in milliseconds
+const getQuietHoursStatus = (preferences = {}, now = Date.now()) => {
+  const quietHours = preferences.quietHours;
+  if (!quietHours || quietHours.enabled === false) {
+    return { active: false };
+  }
+
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === null || end === null || start === end) {
+    return { active: false };
+  }
+
+  const timezone = getUserTimezone(preferences);
+  const current = getLocalMinutes(now, timezone);
+
+  // Windows may wrap past midnight (e.g. 22:00 - 07:00)
+  const active = start < end ?
+    current >= start && current < end :
+    current >= start || current < end;
+
+  if (!active) {
+    return { active: false };
+  }
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  const startOfMinute = now - (now % (60 * 1000));
+  return { active: true, endsAt: startOfMinute + minutesLeft * 60 * 1000 };
+};
+
+// Check whether a notification type may be held during quiet hours
+const isDeferrableType = (type) => !QUIET_HOURS_EXEMPT_TYPES.includes(type);
+
+// Store a notification to be pushed later
+// reason is 'quietHours' or 'rateLimit'
+const deferNotification = async (userId, title, body, data, deliverAt, reason = 'quietHours') => {
+  const db = getFirestore();
+
+  // Strip undefined values, which Firestore rejects
+  const storedData = JSON.parse(JSON.stringify(data || {}));
+
+  const deferredRef = await db.collection('deferred_notifications').add({
+    userId,
+    title,
+    body,
+    type: storedData.type || 'general',
+    data: storedData,
+    reason,
+    deliverAt: admin.firestore.Timestamp.fromMillis(deliverAt),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log(`[QUIET HOURS] Deferred notification ${deferredRef.id} for user ${userId} (${reason}) until ${new Date(deliverAt).toISOString()}`);
+  return deferredRef.id;
+};
+
+// Build the summary push for several deferred notifications, in the recipient's locale
+const buildSummary = (items, locale) => {
+  const titles = [...new Set(items.map(item => item.title))];
+  const listed = titles.slice(0, 2).join(', ');
+  const remaining = items.length - Math.min(titles.length, 2);
+
+  return renderTemplate(remaining > 0 ? 'deferred_summary_more' : 'deferred_summary', locale, {
+    count: items.length,
+    titles: listed,
+    remaining,
+  });
+};
+
+// Deliver every deferred notification that is due
+const flushDeferredNotifications = async () => {
+  const db = getFirestore();
+  const { sendNotificationToUser } = require('./notifications');
+
+  const dueSnapshot = await db.collection('deferred_notifications')
+    .where('deliverAt', '<=', admin.firestore.Timestamp.now())
+    .limit(500)
+    .get();
+
+  if (dueSnapshot.empty) {
+    return { users: 0, notifications: 0 };
+  }
+
+  // Group by recipient so each user gets at most one push
+  const byUser = new Map();
+  dueSnapshot.docs.forEach(doc => {
+    const item = { id: doc.id, ref: doc.ref, ...doc.data() };
+    if (!byUser.has(item.userId)) {
+      byUser.set(item.userId, []);
+    }
+    byUser.get(item.userId).push(item);
+  });
+
+  console.log(`[QUIET HOURS] Delivering ${dueSnapshot.size} deferred notifications to ${byUser.size} users`);
+
+  for (const [userId, items] of byUser.entries()) {
+    try {
+      // The inbox entries were already created when the notifications were deferred,
+      // so only the push is sent here. The rate limiter already waited for a free token.
+      if (items.length === 1) {
+        const [item] = items;
+        await sendNotificationToUser(userId, item.title, item.body, { ...item.data, deferred: 'true' }, { skipQuietHours: true, skipRateLimit: true });
+      } else {
+        const summary = buildSummary(items, await getLocaleForUser(userId));
+        await sendNotificationToUser(userId, summary.title, summary.body, {
+          type: 'summary',
+          deferred: 'true',
+          count: String(items.length),
+          // Point at the newest inbox entry so no extra inbox record is created
+          notificationId: items[items.length - 1].data.notificationId || `summary_${Date.now()}`,
+        }, { skipQuietHours: true, skipRateLimit: true });
+      }
+
+      const batch = db.batch();
+      items.forEach(item => batch.delete(item.ref));
+      await batch.commit();
+    } catch (error) {
+      console.error(`[QUIET HOURS ERROR] Error delivering deferred notifications for user ${userId}:`, error);
+    }
+  }
+
+  return { users: byUser.size, notifications: dueSnapshot.size };
+};
+
+// Start checking for deferred notifications that are due
+let workerStarted = false;
+const startDeferredDeliveryWorker = () => {
+  if (workerStarted) {
+    return;
+  }
+  workerStarted = true;
+
+  console.log('Starting deferred notification delivery for quiet hours...');
+
+  setInterval(async () => {
+    try {
+      await flushDeferredNotifications();
+    } catch (error) {
+      console.error('[QUIET HOURS ERROR] Error flushing deferred notifications:', error);
+    }
+  }, FLUSH_INTERVAL_MS);
+};
+
+module.exports = {
+  getQuietHoursStatus,
+  getUserTimezone,
+  getNextLocalTime,
+  parseTime,
+  isValidTimezone,
+  validateQuietHours,
+  isDeferrableType,
+  deferNotification,
+  flushDeferredNotifications,
+  startDeferredDeliveryWorker
+};
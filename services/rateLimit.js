@@ -0,0 +1,151 @@
+// Per-recipient push rate limiting
+// Each user gets a token bucket per notification type. A push consumes one token and
+// tokens refill continuously. When the bucket is empty the notification still goes to the
+// inbox, but the push is held and merged into a follow-up summary once tokens are available.
+//
+// Limits can be overridden with the RATE_LIMITS environment variable, e.g.
+//   RATE_LIMITS='{"chat":{"capacity":5,"refillPerMinute":5}}'
+// Buckets are kept in memory, so the limit is per server instance: with several instances
+// sharing the queue, a user can get up to that many times the limit in pushes.
+
+// Default limits per notification type
+const DEFAULT_LIMITS = {
+  default: { capacity: 10, refillPerMinute: 10 },
+  chat: { capacity: 5, refillPerMinute: 6 },
+  socialInteractions: { capacity: 5, refillPerMinute: 3 },
+  marketplace: { capacity: 5, refillPerMinute: 2 },
+};
+
+// Notification types that are never rate limited
+const RATE_LIMIT_EXEMPT_TYPES = ['reports', 'emergency'];
+
+// Buckets idle for longer than this are dropped from memory
+const IDLE_BUCKET_MS = 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Helper function to read limit overrides from the environment
+const loadLimits = () => {
+  if (!process.env.RATE_LIMITS) {
+    return DEFAULT_LIMITS;
+  }
+  try {
+    return { ...DEFAULT_LIMITS, ...JSON.parse(process.env.RATE_LIMITS) };
+  } catch (error) {
+    console.error('[RATE LIMIT ERROR] Invalid RATE_LIMITS, using defaults:', error.message);
+    return DEFAULT_LIMITS;
+  }
+};
+
+const limits = loadLimits();
+
+// Key: `${userId}:${type}`, Value: { tokens, updatedAt, allowed, suppressed, lastSuppressedAt }
+const buckets = new Map();
+
+// Get the limit for a notification type, or null if the type is not limited
+const getLimit = (type) => {
+  if (RATE_LIMIT_EXEMPT_TYPES.includes(type)) {
+    return null;
+  }
+  return limits[type] || limits.default;
+};
+
+// Helper function to top up a bucket for the time that has passed
+const refill = (bucket, limit, now) => {
+  const elapsedMinutes = (now - bucket.updatedAt) / (60 * 1000);
+  bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsedMinutes * limit.refillPerMinute);
+  bucket.updatedAt = now;
+};
+
+// Try to take a push token for a user and notification type
+// Returns { allowed: true } or { allowed: false, retryAt } where retryAt is in milliseconds
+const consumePushToken = (userId, type = 'general', now = Date.now()) => {
+  const limit = getLimit(type);
+  if (!limit) {
+    return { allowed: true };
+  }
+
+  const key = `${userId}:${type}`;
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = { tokens: limit.capacity, updatedAt: now, allowed: 0, suppressed: 0, lastSuppressedAt: null };
+    buckets.set(key, bucket);
+  }
+
+  refill(bucket, limit, now);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    bucket.allowed++;
+    return { allowed: true };
+  }
+
+  bucket.suppressed++;
+  bucket.lastSuppressedAt = now;
+
+  // Time until a whole token is available again
+  const retryAt = now + Math.ceil((1 - bucket.tokens) / limit.refillPerMinute * 60 * 1000);
+  console.log(`[RATE LIMIT] Push limit reached for user ${userId} (${type}), holding push until ${new Date(retryAt).toISOString()}`);
+  return { allowed: false, retryAt };
+};
+
+// Check whether a push would be allowed without taking a token (used for dry runs)
+const peekPushToken = (userId, type = 'general', now = Date.now()) => {
+  const limit = getLimit(type);
+  const bucket = buckets.get(`${userId}:${type}`);
+  if (!limit || !bucket) {
+    return { allowed: true };
+  }
+
+  const tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) / (60 * 1000) * limit.refillPerMinute);
+  if (tokens >= 1) {
+    return { allowed: true };
+  }
+  return { allowed: false, retryAt: now + Math.ceil((1 - tokens) / limit.refillPerMinute * 60 * 1000) };
+};
+
+// Rate limit counters for a user, for diagnostics
+const getRateLimitStats = (userId, now = Date.now()) => {
+  const stats = {};
+  for (const [key, bucket] of buckets.entries()) {
+    const [bucketUserId, type] = key.split(':');
+    if (bucketUserId !== userId) continue;
+
+    const limit = getLimit(type) || limits.default;
+    refill(bucket, limit, now);
+
+    stats[type] = {
+      allowed: bucket.allowed,
+      suppressed: bucket.suppressed,
+      tokensRemaining: Math.floor(bucket.tokens),
+      capacity: limit.capacity,
+      refillPerMinute: limit.refillPerMinute,
+      lastSuppressedAt: bucket.lastSuppressedAt ? new Date(bucket.lastSuppressedAt).toISOString() : null,
+    };
+  }
+  return stats;
+};
+
+// Start periodically dropping buckets that have been idle long enough to be full again
+let cleanupStarted = false;
+const startRateLimitCleanup = () => {
+  if (cleanupStarted) {
+    return;
+  }
+  cleanupStarted = true;
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets.entries()) {
+      if (now - bucket.updatedAt > IDLE_BUCKET_MS) {
+        buckets.delete(key);
+      }
+    }
+  }, CLEANUP_INTERVAL_MS);
+};
+
+module.exports = {
+  consumePushToken,
+  peekPushToken,
+  getRateLimitStats,
+  startRateLimitCleanup
+};
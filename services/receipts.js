@@ -0,0 +1,146 @@
+const admin = require('firebase-admin');
+const { getFirestore } = require('./firebase');
+
+// Delivery and open receipts
+// The app acknowledges a push when it arrives ('delivered') and when it is tapped ('opened'),
+// using the notificationId (and requestId for direct sends) from the data payload.
+// Each user's receipt is kept in notification_receipts/{notificationId}_{userId}, and the
+// inbox record counts unique users in receipts.delivered and receipts.opened.
+
+const RECEIPT_EVENTS = ['delivered', 'opened'];
+
+// Helper function to convert a Firestore timestamp to an ISO string
+const toIsoString = (timestamp) => timestamp && timestamp.toDate ? timestamp.toDate().toISOString() : null;
+
+// Find the inbox record of a notification
+// Returns { collection, ref, data } or null
+const getNotificationRecord = async (notificationId) => {
+  const db = getFirestore();
+  for (const collection of ['user_notifications', 'community_notifications']) {
+    const doc = await db.collection(collection).doc(notificationId).get();
+    if (doc.exists) {
+      return { collection, ref: doc.ref, data: doc.data() };
+    }
+  }
+  return null;
+};
+
+// Check whether a user received a notification
+// Status records are deleted once read, so community notifications are checked by membership:
+// the user must be in the community, not the excluded sender, and have joined before it was sent
+const isNotificationRecipient = async (userId, record) => {
+  if (record.collection === 'user_notifications') {
+    return record.data.userId === userId;
+  }
+  if (record.data.excludeUserId === userId) {
+    return false;
+  }
+  const db = getFirestore();
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (!userDoc.exists || userDoc.data().communityId !== record.data.communityId) {
+    return false;
+  }
+  const joinedAt = userDoc.data().joinedAt || userDoc.data().createdAt;
+  const sentAt = record.data.createdAt;
+  if (joinedAt && joinedAt.toMillis && sentAt && sentAt.toMillis && joinedAt.toMillis() > sentAt.toMillis()) {
+    return false;
+  }
+  return true;
+};
+
+// Record a delivered or opened receipt for a user
+// An open also counts as a delivery, since some platforms only report the tap
+// Returns { notificationId, deliveredAt, openedAt, duplicate }
+const recordReceipt = async (userId, record, event, { requestId, platform } = {}) => {
+  const db = getFirestore();
+  const notificationId = record.ref.id;
+  const receiptRef = db.collection('notification_receipts').doc(`${notificationId}_${userId}`);
+
+  return db.runTransaction(async (transaction) => {
+    const receiptDoc = await transaction.get(receiptRef);
+    const receipt = receiptDoc.exists ? receiptDoc.data() : {};
+    const now = admin.firestore.Timestamp.now();
+
+    const firstDelivery = !receipt.deliveredAt;
+    const firstOpen = event === 'opened' && !receipt.openedAt;
+
+    transaction.set(receiptRef, {
+      notificationId,
+      userId,
+      collection: record.collection,
+      ...(firstDelivery && { deliveredAt: now }),
+      ...(firstOpen && { openedAt: now }),
+      ...(requestId && { requestId }),
+      ...(platform && { platform }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    const counters = {
+      ...(firstDelivery && { 'receipts.delivered': admin.firestore.FieldValue.increment(1) }),
+      ...(firstOpen && { 'receipts.opened': admin.firestore.FieldValue.increment(1) }),
+    };
+    if (Object.keys(counters).length > 0) {
+      transaction.update(record.ref, counters);
+    }
+
+    return {
+      notificationId,
+      deliveredAt: toIsoString(firstDelivery ? now : receipt.deliveredAt),
+      openedAt: toIsoString(firstOpen ? now : receipt.openedAt),
+      duplicate: !firstDelivery && !firstOpen,
+    };
+  });
+};
+
+// Get a user's receipt for a notification, or null
+const getReceipt = async (notificationId, userId) => {
+  const db = getFirestore();
+  const doc = await db.collection('notification_receipts').doc(`${notificationId}_${userId}`).get();
+  if (!doc.exists) {
+    return null;
+  }
+  const receipt = doc.data();
+  return {
+    deliveredAt: toIsoString(receipt.deliveredAt),
+    openedAt: toIsoString(receipt.openedAt),
+    requestId: receipt.requestId || null,
+    platform: receipt.platform || null,
+  };
+};
+
+// Delivery and open counts for a notification, or null if it does not exist
+const getNotificationStats = async (notificationId) => {
+  const record = await getNotificationRecord(notificationId);
+  if (!record) {
+    return null;
+  }
+
+  const { data } = record;
+  const receipts = data.receipts || {};
+  const delivered = receipts.delivered || 0;
+  const opened = receipts.opened || 0;
+  // Direct notifications have one recipient, community sends store how many members got one
+  const recipients = record.collection === 'user_notifications' ? 1 : data.recipientCount || null;
+  const rate = (count) => recipients ? Math.round(count / recipients * 1000) / 1000 : null;
+
+  return {
+    notificationId,
+    kind: record.collection === 'user_notifications' ? 'user' : 'community',
+    type: data.type || 'general',
+    createdAt: toIsoString(data.createdAt),
+    recipients,
+    delivered,
+    opened,
+    deliveryRate: rate(delivered),
+    openRate: rate(opened),
+  };
+};
+
+module.exports = {
+  RECEIPT_EVENTS,
+  getNotificationRecord,
+  isNotificationRecipient,
+  recordReceipt,
+  getReceipt,
+  getNotificationStats
+};
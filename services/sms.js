@@ -0,0 +1,232 @@
+const admin = require('firebase-admin');
+const { getFirestore } = require('./firebase');
+
+// SMS fallback
+// Residents without the app (e.g. on feature phones) can receive critical notifications by
+// SMS. Users opt in per type in notificationPreferences.smsFallback, e.g. { reports: true },
+// and the number is read from phoneNumber on their users document.
+//
+// Providers implement send(to, text) and return { messageId }. SMS_PROVIDER=stub keeps
+// messages in memory and logs them, for local testing. Without a provider SMS is disabled.
+//
+// Every community has a monthly SMS budget (SMS_MONTHLY_BUDGET, default 100) that admins can
+// change per community. Usage is counted in sms_budgets/{communityId}.
+
+// Notification types that can be sent by SMS
+const SMS_FALLBACK_TYPES = ['reports', 'emergency'];
+
+const DEFAULT_MONTHLY_BUDGET = parseInt(process.env.SMS_MONTHLY_BUDGET) || 100;
+// Longer messages are cut to fit one SMS segment
+const SMS_MAX_LENGTH = 160;
+
+// Local provider that records messages instead of sending them
+const createStubProvider = () => {
+  const messages = [];
+  return {
+    name: 'stub',
+    messages,
+    send: async (to, text) => {
+      const messageId = `stub-${Date.now()}-${messages.length + 1}`;
+      messages.push({ messageId, to, text, sentAt: new Date().toISOString() });
+      console.log(`[SMS DEBUG] Stub SMS to ${to}: "${text}"`);
+      return { messageId };
+    },
+  };
+};
+
+// Helper function to create the configured provider, or null when SMS is disabled
+const createProvider = () => {
+  const provider = process.env.SMS_PROVIDER;
+  if (!provider) {
+    return null;
+  }
+  if (provider === 'stub') {
+    return createStubProvider();
+  }
+  console.error(`[SMS ERROR] Unknown SMS_PROVIDER "${provider}", SMS fallback disabled`);
+  return null;
+};
+
+let provider = createProvider();
+
+// Replace the provider, e.g. with a gateway client that has a send(to, text) method
+const setSmsProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+const getSmsProvider = () => provider;
+
+const isSmsEnabled = () => provider !== null;
+
+// Validate an smsFallback preference object, returns an error message or null
+const validateSmsPreferences = (smsFallback) => {
+  if (typeof smsFallback !== 'object' || smsFallback === null) {
+    return 'smsFallback must be an object';
+  }
+  for (const [type, enabled] of Object.entries(smsFallback)) {
+    if (!SMS_FALLBACK_TYPES.includes(type)) {
+      return `SMS fallback is not supported for ${type}`;
+    }
+    if (typeof enabled !== 'boolean') {
+      return `smsFallback.${type} must be true or false`;
+    }
+  }
+  return null;
+};
+
+// Normalize a Philippine or E.164 phone number to E.164, or null if it is not valid
+const normalizePhoneNumber = (phoneNumber) => {
+  if (typeof phoneNumber !== 'string') {
+    return null;
+  }
+  const digits = phoneNumber.replace(/[\s()-]/g, '');
+  // Local mobile format, e.g. 09171234567
+  if (/^09\d{9}$/.test(digits)) {
+    return `+63${digits.substring(1)}`;
+  }
+  return /^\+[1-9]\d{7,14}$/.test(digits) ? digits : null;
+};
+
+// Current budget period, e.g. 2026-10
+const getBudgetPeriod = (now = new Date()) => now.toISOString().substring(0, 7);
+
+// Helper function to read a budget document with the usage reset for a new period
+const readBudget = (doc, period) => {
+  const budget = doc.exists ? doc.data() : {};
+  return {
+    monthlyLimit: typeof budget.monthlyLimit === 'number' ? budget.monthlyLimit : DEFAULT_MONTHLY_BUDGET,
+    period,
+    sent: budget.period === period ? budget.sent || 0 : 0,
+  };
+};
+
+// Get a community's SMS budget and usage for the current period
+const getSmsBudget = async (communityId) => {
+  const db = getFirestore();
+  const doc = await db.collection('sms_budgets').doc(communityId).get();
+  const budget = readBudget(doc, getBudgetPeriod());
+  return { communityId, ...budget, remaining: Math.max(0, budget.monthlyLimit - budget.sent) };
+};
+
+// Set a community's monthly SMS budget (admin only)
+const setSmsBudget = async (communityId, monthlyLimit, updatedBy) => {
+  const db = getFirestore();
+  await db.collection('sms_budgets').doc(communityId).set({
+    monthlyLimit,
+    updatedBy,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+  return getSmsBudget(communityId);
+};
+
+// Helper function to take one SMS from a community's budget
+// Returns the budget period charged, or null when the budget for this period is used up
+const consumeSmsBudget = async (communityId) => {
+  const db = getFirestore();
+  const budgetRef = db.collection('sms_budgets').doc(communityId);
+  const period = getBudgetPeriod();
+
+  return db.runTransaction(async (transaction) => {
+    const budget = readBudget(await transaction.get(budgetRef), period);
+    if (budget.sent >= budget.monthlyLimit) {
+      return null;
+    }
+    transaction.set(budgetRef, {
+      monthlyLimit: budget.monthlyLimit,
+      period,
+      sent: budget.sent + 1,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return period;
+  });
+};
+
+// Helper function to give back an SMS that was charged but not sent
+const refundSmsBudget = async (communityId, period) => {
+  const db = getFirestore();
+  const budgetRef = db.collection('sms_budgets').doc(communityId);
+
+  await db.runTransaction(async (transaction) => {
+    const budgetDoc = await transaction.get(budgetRef);
+    // Nothing to refund once a new period has started
+    if (!budgetDoc.exists || budgetDoc.data().period !== period || !budgetDoc.data().sent) {
+      return;
+    }
+    transaction.update(budgetRef, {
+      sent: budgetDoc.data().sent - 1,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+// SMS a notification to a user who opted in for its type
+// Returns { sent: true, messageId } or { sent: false, reason }
+const sendSmsNotification = async (userId, title, body, data = {}, preferences = {}) => {
+  if (!isSmsEnabled()) {
+    return { sent: false, reason: 'disabled' };
+  }
+
+  if (!SMS_FALLBACK_TYPES.includes(data.type)) {
+    return { sent: false, reason: 'notEligible' };
+  }
+
+  if (!preferences.smsFallback || preferences.smsFallback[data.type] !== true) {
+    return { sent: false, reason: 'notOptedIn' };
+  }
+
+  const db = getFirestore();
+  const userDoc = await db.collection('users').doc(userId).get();
+  const user = userDoc.exists ? userDoc.data() : {};
+
+  const phoneNumber = normalizePhoneNumber(user.phoneNumber);
+  if (!phoneNumber) {
+    console.log(`[SMS DEBUG] User ${userId} has no valid phone number, skipping fallback`);
+    return { sent: false, reason: 'noPhoneNumber' };
+  }
+
+  const communityId = data.communityId || user.communityId;
+  if (!communityId) {
+    console.log(`[SMS DEBUG] User ${userId} has no community to charge the SMS to, skipping fallback`);
+    return { sent: false, reason: 'noCommunity' };
+  }
+
+  // The budget is charged before sending so concurrent sends cannot overspend it, and
+  // refunded if the provider fails (a queue retry then charges it again)
+  let chargedPeriod = null;
+  try {
+    chargedPeriod = await consumeSmsBudget(communityId);
+    if (!chargedPeriod) {
+      console.log(`[SMS DEBUG] SMS budget for community ${communityId} is used up, skipping fallback for user ${userId}`);
+      return { sent: false, reason: 'budgetExceeded' };
+    }
+
+    let text = `${title}: ${body}`;
+    if (text.length > SMS_MAX_LENGTH) {
+      text = `${text.substring(0, SMS_MAX_LENGTH - 3)}...`;
+    }
+
+    const result = await provider.send(phoneNumber, text);
+    console.log(`[SMS DEBUG] Sent ${data.type} SMS fallback to user ${userId}`);
+    return { sent: true, messageId: result.messageId };
+  } catch (error) {
+    console.error(`[SMS ERROR] Failed to send SMS fallback to user ${userId}:`, error.message);
+    if (chargedPeriod) {
+      await refundSmsBudget(communityId, chargedPeriod).catch(refundError => {
+        console.error(`[SMS ERROR] Failed to refund SMS budget of community ${communityId}:`, refundError.message);
+      });
+    }
+    return { sent: false, reason: 'error', error: error.message };
+  }
+};
+
+module.exports = {
+  SMS_FALLBACK_TYPES,
+  isSmsEnabled,
+  setSmsProvider,
+  getSmsProvider,
+  validateSmsPreferences,
+  normalizePhoneNumber,
+  getSmsBudget,
+  setSmsBudget,
+  sendSmsNotification
+};
@@ -0,0 +1,623 @@
+const admin = require('firebase-admin');
+const { getFirestore } = require('./firebase');
+
+// Notification templates
+// Every notification the monitors send is rendered from this registry in the recipient's
+// locale, keyed by event type. The locale is captured when the app registers its FCM token
+// and stored as `locale` on the user_tokens document.
+//
+// Placeholders:
+//   {name}            - parameter value
+//   {name:50}         - truncated to 50 characters with "..."
+//   {name|Someone}    - fallback when the parameter is missing or empty
+//   {name:50|Someone} - both
+//
+// The catalog below is version 1 of every template. Newer versions are created through the
+// /api/templates endpoints and stored in the notification_templates collection:
+//   { activeVersion, latestVersion, versions: { 2: { locales: { en: { title, body }, fil } } } }
+// Firestore versions are kept in memory by startTemplateSync so rendering stays synchronous.
+
+const SUPPORTED_LOCALES = ['en', 'fil'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+const TEMPLATES_COLLECTION = 'notification_templates';
+const BUILTIN_VERSION = 1;
+
+// Device locales that map onto a supported locale
+const LOCALE_ALIASES = {
+  tl: 'fil',
+};
+
+// Built-in templates, each with sample event data for previews
+const TEMPLATES = {
+  community_notice: {
+    sample: { authorName: 'Barangay Office', noticeTitle: 'Water Interruption', content: 'There will be no water supply on Saturday from 8 AM to 5 PM due to pipe repairs along Rizal Street.' },
+    en: {
+      title: 'Community Notice',
+      body: '{authorName|Administrator} posted new community notice: "{noticeTitle|Community Announcement}"\n\n{content:100|No additional details provided.}',
+    },
+    fil: {
+      title: 'Paunawa sa Komunidad',
+      body: 'Nag-post si {authorName|Administrator} ng bagong paunawa sa komunidad: "{noticeTitle|Anunsyo sa Komunidad}"\n\n{content:100|Walang karagdagang detalye.}',
+    },
+  },
+  notice_comment: {
+    sample: { commenterName: 'Maria Santos', commentText: 'Thank you for the update! Will the schedule be the same next week?' },
+    en: {
+      title: 'New Comment on Your Notice',
+      body: '{commenterName|Someone} commented: "{commentText:50|(No comment text)}"',
+    },
+    fil: {
+      title: 'Bagong Komento sa Iyong Paunawa',
+      body: 'Nagkomento si {commenterName|Isang user}: "{commentText:50|(Walang teksto ng komento)}"',
+    },
+  },
+  notice_like: {
+    sample: { likerName: 'Juan', noticeTitle: 'Water Interruption' },
+    en: {
+      title: 'New Like on Your Notice',
+      body: '{likerName|Someone} liked your notice: "{noticeTitle|your notice}"',
+    },
+    fil: {
+      title: 'Bagong Like sa Iyong Paunawa',
+      body: 'Nagustuhan ni {likerName|Isang user} ang iyong paunawa: "{noticeTitle|iyong paunawa}"',
+    },
+  },
+  comment_like: {
+    sample: { likerName: 'Juan', commentText: 'Thank you for the update!' },
+    en: {
+      title: 'New Like on Your Comment',
+      body: '{likerName|Someone} liked your comment: "{commentText:30|(No comment text)}"',
+    },
+    fil: {
+      title: 'Bagong Like sa Iyong Komento',
+      body: 'Nagustuhan ni {likerName|Isang user} ang iyong komento: "{commentText:30|(Walang teksto ng komento)}"',
+    },
+  },
+  reply_like: {
+    sample: { likerName: 'Juan', replyText: 'Same here, thanks!' },
+    en: {
+      title: 'New Like on Your Reply',
+      body: '{likerName|Someone} liked your reply: "{replyText:30|(No reply text)}"',
+    },
+    fil: {
+      title: 'Bagong Like sa Iyong Sagot',
+      body: 'Nagustuhan ni {likerName|Isang user} ang iyong sagot: "{replyText:30|(Walang teksto ng sagot)}"',
+    },
+  },
+  comment_reply: {
+    sample: { authorName: 'Pedro Reyes', replyText: 'Yes, the same schedule applies next week.' },
+    en: {
+      title: 'New Reply to Your Comment',
+      body: '{authorName|Someone} replied to your comment: "{replyText:50|(No reply text)}"',
+    },
+    fil: {
+      title: 'Bagong Sagot sa Iyong Komento',
+      body: 'Sumagot si {authorName|Isang user} sa iyong komento: "{replyText:50|(Walang teksto ng sagot)}"',
+    },
+  },
+  reply_mention: {
+    sample: { authorName: 'Pedro Reyes', replyText: '@Maria the schedule is posted at the barangay hall.' },
+    en: {
+      title: 'You Were Mentioned in a Reply',
+      body: '{authorName|Someone} mentioned you in a reply: "{replyText:50|(No reply text)}"',
+    },
+    fil: {
+      title: 'Nabanggit Ka sa Isang Sagot',
+      body: 'Binanggit ka ni {authorName|Isang user} sa isang sagot: "{replyText:50|(Walang teksto ng sagot)}"',
+    },
+  },
+  // Merged likes (see aggregation.js), {target} is rendered from the like_target_* entries
+  like_aggregate_two: {
+    sample: { latestName: 'Juan', secondName: 'Maria', target: 'notice', preview: ': "Water Interruption"' },
+    en: { body: '{latestName} and {secondName} liked your {target}{preview}' },
+    fil: { body: 'Nagustuhan nina {latestName} at {secondName} ang iyong {target}{preview}' },
+  },
+  like_aggregate_many: {
+    sample: { latestName: 'Juan', othersCount: 9, target: 'notice', preview: ': "Water Interruption"' },
+    en: { body: '{latestName} and {othersCount} others liked your {target}{preview}' },
+    fil: { body: 'Nagustuhan nina {latestName} at {othersCount} iba pa ang iyong {target}{preview}' },
+  },
+  like_target_notice: {
+    sample: {},
+    en: { body: 'notice' },
+    fil: { body: 'paunawa' },
+  },
+  like_target_comment: {
+    sample: {},
+    en: { body: 'comment' },
+    fil: { body: 'komento' },
+  },
+  like_target_reply: {
+    sample: {},
+    en: { body: 'reply' },
+    fil: { body: 'sagot' },
+  },
+  marketplace_new_item: {
+    sample: { sellerName: 'Ana Cruz', itemTitle: 'Mountain Bike', price: '₱3,500' },
+    en: {
+      title: 'New Item in Marketplace',
+      body: '{sellerName|Someone} is selling: "{itemTitle}" for {price}',
+    },
+    fil: {
+      title: 'Bagong Item sa Marketplace',
+      body: 'Nagbebenta si {sellerName|Isang user} ng: "{itemTitle}" sa halagang {price}',
+    },
+  },
+  marketplace_item_pending: {
+    sample: { sellerName: 'Ana Cruz', itemTitle: 'Mountain Bike' },
+    en: {
+      title: 'New Item Pending Approval',
+      body: '{sellerName|Someone} posted: "{itemTitle}". Review it now.',
+    },
+    fil: {
+      title: 'Bagong Item na Naghihintay ng Pag-apruba',
+      body: 'Nag-post si {sellerName|Isang user} ng: "{itemTitle}". Suriin ito ngayon.',
+    },
+  },
+  marketplace_item_approved: {
+    sample: { itemTitle: 'Mountain Bike' },
+    en: {
+      title: 'Item Approved',
+      body: 'Your item "{itemTitle}" has been approved and is now live in the marketplace.',
+    },
+    fil: {
+      title: 'Naaprubahan ang Item',
+      body: 'Naaprubahan ang iyong item na "{itemTitle}" at makikita na ito sa marketplace.',
+    },
+  },
+  marketplace_item_rejected: {
+    sample: { itemTitle: 'Mountain Bike' },
+    en: {
+      title: 'Item Rejected',
+      body: 'Your item "{itemTitle}" has been rejected.',
+    },
+    fil: {
+      title: 'Tinanggihan ang Item',
+      body: 'Tinanggihan ang iyong item na "{itemTitle}".',
+    },
+  },
+  marketplace_item_rejected_reason: {
+    sample: { itemTitle: 'Mountain Bike', reason: 'Photos are missing' },
+    en: {
+      title: 'Item Rejected',
+      body: 'Your item "{itemTitle}" has been rejected. Reason: {reason}',
+    },
+    fil: {
+      title: 'Tinanggihan ang Item',
+      body: 'Tinanggihan ang iyong item na "{itemTitle}". Dahilan: {reason}',
+    },
+  },
+  chat_message: {
+    sample: { senderName: 'Ana Cruz', message: 'Hi! Is the bike still available? I can pick it up this weekend.' },
+    en: {
+      title: 'New Message',
+      body: '{senderName|Someone}: "{message:50}"',
+    },
+    fil: {
+      title: 'Bagong Mensahe',
+      body: '{senderName|Isang user}: "{message:50}"',
+    },
+  },
+  report_new: {
+    sample: { issueType: 'Broken Streetlight', details: ' - The streetlight at the corner of Mabini St. has bee...' },
+    en: {
+      title: 'New Community Report',
+      body: 'A new report has been submitted: "{issueType}"{details}',
+    },
+    fil: {
+      title: 'Bagong Ulat sa Komunidad',
+      body: 'May bagong ulat na isinumite: "{issueType}"{details}',
+    },
+  },
+  report_status: {
+    sample: { issueType: 'Broken Streetlight', status: 'In Progress' },
+    en: {
+      title: 'Report Status Updated',
+      body: 'Your report "{issueType|Community Issue}" has been updated to: {status}',
+    },
+    fil: {
+      title: 'Na-update ang Status ng Ulat',
+      body: 'Ang iyong ulat na "{issueType|Isyu sa Komunidad}" ay na-update sa: {status}',
+    },
+  },
+  volunteer_post: {
+    sample: { creatorName: 'Barangay Office', postTitle: 'Coastal Clean-up Drive' },
+    en: {
+      title: 'New Volunteer Opportunity',
+      body: '{creatorName|Someone} posted: "{postTitle}"',
+    },
+    fil: {
+      title: 'Bagong Pagkakataong Magboluntaryo',
+      body: 'Nag-post si {creatorName|Isang user}: "{postTitle}"',
+    },
+  },
+  volunteer_joined: {
+    sample: { userName: 'Pedro Reyes', postTitle: 'Coastal Clean-up Drive' },
+    en: {
+      title: 'New Volunteer Joined',
+      body: '{userName|Someone} joined your volunteer post: "{postTitle}"',
+    },
+    fil: {
+      title: 'May Bagong Sumaling Boluntaryo',
+      body: 'Sumali si {userName|Isang user} sa iyong volunteer post: "{postTitle}"',
+    },
+  },
+  // Summary push for notifications held during quiet hours or by the rate limiter (see quietHours.js)
+  deferred_summary: {
+    sample: { count: 4, titles: 'New Message, Item Approved' },
+    en: {
+      title: 'You have {count} new notifications',
+      body: '{titles}',
+    },
+    fil: {
+      title: 'Mayroon kang {count} bagong notification',
+      body: '{titles}',
+    },
+  },
+  deferred_summary_more: {
+    sample: { count: 4, titles: 'New Message, Item Approved', remaining: 2 },
+    en: {
+      title: 'You have {count} new notifications',
+      body: '{titles} and {remaining} more',
+    },
+    fil: {
+      title: 'Mayroon kang {count} bagong notification',
+      body: '{titles} at {remaining} pa',
+    },
+  },
+  // Digest summary (see digest.js), {parts} is rendered from the digest_part_* entries
+  digest_summary: {
+    sample: { count: 4, parts: '3 likes, 1 comment' },
+    en: {
+      title: 'Activity on Your Posts',
+      body: 'You have {count} new interactions: {parts}',
+    },
+    fil: {
+      title: 'Aktibidad sa Iyong mga Post',
+      body: 'Mayroon kang {count} bagong interaksyon: {parts}',
+    },
+  },
+  // Title is the singular form, used when count is 1
+  digest_part_like: {
+    sample: { count: 3 },
+    en: { title: '{count} like', body: '{count} likes' },
+    fil: { title: '{count} gusto', body: '{count} gusto' },
+  },
+  digest_part_mention: {
+    sample: { count: 3 },
+    en: { title: '{count} mention', body: '{count} mentions' },
+    fil: { title: '{count} pagbanggit', body: '{count} pagbanggit' },
+  },
+  digest_part_reply: {
+    sample: { count: 3 },
+    en: { title: '{count} reply', body: '{count} replies' },
+    fil: { title: '{count} sagot', body: '{count} sagot' },
+  },
+  digest_part_comment: {
+    sample: { count: 3 },
+    en: { title: '{count} comment', body: '{count} comments' },
+    fil: { title: '{count} komento', body: '{count} komento' },
+  },
+  digest_part_interaction: {
+    sample: { count: 3 },
+    en: { title: '{count} interaction', body: '{count} interactions' },
+    fil: { title: '{count} interaksyon', body: '{count} interaksyon' },
+  },
+  volunteer_join_confirmation: {
+    sample: { postTitle: 'Coastal Clean-up Drive' },
+    en: {
+      title: 'Joined Volunteer Post',
+      body: 'You have successfully joined the volunteer post: "{postTitle}"',
+    },
+    fil: {
+      title: 'Sumali sa Volunteer Post',
+      body: 'Matagumpay kang sumali sa volunteer post: "{postTitle}"',
+    },
+  },
+};
+
+// Key: template key, Value: { version, locales } for templates whose active version is in Firestore
+const activeOverrides = new Map();
+
+const PLACEHOLDER_PATTERN = /\{(\w+)(?::(\d+))?(?:\|([^}]*))?\}/g;
+
+// Map a device locale such as "fil-PH", "tl" or "en_US" onto a supported locale
+// Returns null for locales we have no strings for
+const normalizeLocale = (locale) => {
+  if (typeof locale !== 'string' || !locale) {
+    return null;
+  }
+  const language = locale.toLowerCase().split(/[-_]/)[0];
+  const normalized = LOCALE_ALIASES[language] || language;
+  return SUPPORTED_LOCALES.includes(normalized) ? normalized : null;
+};
+
+// Locale for a user_tokens document
+const getUserLocale = (userTokenData = {}) => {
+  return normalizeLocale(userTokenData.locale) || DEFAULT_LOCALE;
+};
+
+// Look up a user's locale by ID (for callers that don't already have the token document)
+const getLocaleForUser = async (userId) => {
+  try {
+    const userTokensDoc = await getFirestore().collection('user_tokens').doc(userId).get();
+    return userTokensDoc.exists ? getUserLocale(userTokensDoc.data()) : DEFAULT_LOCALE;
+  } catch (error) {
+    console.error(`[TEMPLATE ERROR] Error reading locale for user ${userId}:`, error);
+    return DEFAULT_LOCALE;
+  }
+};
+
+// Helper function to fill placeholders, missing parameters without a fallback render empty
+const fillPlaceholders = (text, params = {}) => {
+  return text.replace(PLACEHOLDER_PATTERN, (_, name, maxLength, fallback) => {
+    const raw = params[name];
+    let value = raw === undefined || raw === null ? '' : String(raw);
+
+    if (!value.trim()) {
+      return fallback || '';
+    }
+    if (maxLength && value.length > parseInt(maxLength)) {
+      value = `${value.substring(0, parseInt(maxLength))}...`;
+    }
+    return value;
+  });
+};
+
+// Helper function to list the parameter names a set of locale strings uses
+const getPlaceholderNames = (locales) => {
+  const names = new Set();
+  Object.values(locales).forEach(strings => {
+    [strings.title, strings.body].filter(Boolean).forEach(text => {
+      for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+      }
+    });
+  });
+  return [...names];
+};
+
+// Helper function to render locale strings, falling back to the default locale
+const renderLocales = (locales, locale, params) => {
+  const strings = locales[normalizeLocale(locale) || DEFAULT_LOCALE] || locales[DEFAULT_LOCALE];
+  return {
+    title: strings.title ? fillPlaceholders(strings.title, params) : undefined,
+    body: fillPlaceholders(strings.body, params),
+  };
+};
+
+// Helper function to get the built-in strings of a template without its sample data
+const getBuiltinLocales = (key) => {
+  const { sample, ...locales } = TEMPLATES[key];
+  return locales;
+};
+
+// The version of a template that is currently used for sending
+// Returns { key, version, source, locales }
+const getActiveTemplate = (key) => {
+  if (!TEMPLATES[key]) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+
+  const override = activeOverrides.get(key);
+  if (override) {
+    return { key, version: override.version, source: 'firestore', locales: override.locales };
+  }
+  return { key, version: BUILTIN_VERSION, source: 'builtin', locales: getBuiltinLocales(key) };
+};
+
+// Render a template in the given locale using its active version
+// Returns { title, body }
+const renderTemplate = (key, locale, params = {}) => {
+  return renderLocales(getActiveTemplate(key).locales, locale, params);
+};
+
+// Validate the strings for a new template version, returns an error message or null
+const validateTemplateLocales = (key, locales) => {
+  if (!TEMPLATES[key]) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+  if (typeof locales !== 'object' || locales === null) {
+    return 'locales must be an object';
+  }
+  if (!locales[DEFAULT_LOCALE]) {
+    return `locales.${DEFAULT_LOCALE} is required`;
+  }
+
+  const needsTitle = !!TEMPLATES[key][DEFAULT_LOCALE].title;
+  for (const [locale, strings] of Object.entries(locales)) {
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+      return `Unsupported locale: ${locale}`;
+    }
+    if (!strings || typeof strings.body !== 'string' || !strings.body.trim()) {
+      return `locales.${locale}.body must be a non-empty string`;
+    }
+    if (needsTitle && (typeof strings.title !== 'string' || !strings.title.trim())) {
+      return `locales.${locale}.title must be a non-empty string`;
+    }
+  }
+  return null;
+};
+
+// Summary of every template and its versions
+const listTemplates = async () => {
+  const snapshot = await getFirestore().collection(TEMPLATES_COLLECTION).get();
+  const stored = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+
+  return Object.keys(TEMPLATES).map(key => {
+    const record = stored.get(key) || {};
+    return {
+      key,
+      activeVersion: record.activeVersion || BUILTIN_VERSION,
+      latestVersion: record.latestVersion || BUILTIN_VERSION,
+      placeholders: getPlaceholderNames(getActiveTemplate(key).locales),
+      sample: TEMPLATES[key].sample,
+    };
+  });
+};
+
+// Every version of a template, oldest first
+const getTemplateVersions = async (key) => {
+  if (!TEMPLATES[key]) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+
+  const doc = await getFirestore().collection(TEMPLATES_COLLECTION).doc(key).get();
+  const record = doc.exists ? doc.data() : {};
+  const versions = [{ version: BUILTIN_VERSION, source: 'builtin', locales: getBuiltinLocales(key) }];
+
+  Object.entries(record.versions || {})
+    .sort((a, b) => parseInt(a[0]) - parseInt(b[0]))
+    .forEach(([version, stored]) => {
+      versions.push({
+        version: parseInt(version),
+        source: 'firestore',
+        locales: stored.locales,
+        createdBy: stored.createdBy || null,
+        createdAt: stored.createdAt && stored.createdAt.toDate ? stored.createdAt.toDate().toISOString() : null,
+      });
+    });
+
+  return { key, activeVersion: record.activeVersion || BUILTIN_VERSION, versions };
+};
+
+// Store a new version of a template, optionally making it the active one
+// Returns the new version number
+const createTemplateVersion = async (key, locales, createdBy, activate = false) => {
+  const db = getFirestore();
+  const templateRef = db.collection(TEMPLATES_COLLECTION).doc(key);
+
+  const version = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(templateRef);
+    const record = doc.exists ? doc.data() : {};
+    const nextVersion = (record.latestVersion || BUILTIN_VERSION) + 1;
+
+    transaction.set(templateRef, {
+      activeVersion: activate ? nextVersion : (record.activeVersion || BUILTIN_VERSION),
+      latestVersion: nextVersion,
+      versions: {
+        ...(record.versions || {}),
+        [nextVersion]: {
+          locales,
+          createdBy: createdBy || 'system',
+          createdAt: admin.firestore.Timestamp.now(),
+        },
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return nextVersion;
+  });
+
+  console.log(`[TEMPLATE] Created version ${version} of ${key}${activate ? ' (active)' : ''}`);
+  return version;
+};
+
+// Switch the version of a template used for sending (version 1 is the built-in one)
+const activateTemplateVersion = async (key, version) => {
+  const db = getFirestore();
+  const templateRef = db.collection(TEMPLATES_COLLECTION).doc(key);
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(templateRef);
+    const record = doc.exists ? doc.data() : {};
+
+    if (version !== BUILTIN_VERSION && !(record.versions && record.versions[version])) {
+      throw new Error(`Version ${version} of ${key} does not exist`);
+    }
+
+    transaction.set(templateRef, {
+      activeVersion: version,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  });
+
+  console.log(`[TEMPLATE] Activated version ${version} of ${key}`);
+};
+
+// Render a template against sample event data without sending anything
+// Options: version - a stored version to preview instead of the active one
+//          locales - draft strings to preview before saving them as a version
+//          params  - event data, defaults to the template's sample data
+//          locale  - render only this locale instead of all supported ones
+const previewTemplate = async (key, options = {}) => {
+  if (!TEMPLATES[key]) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+
+  let version;
+  let locales;
+  if (options.locales) {
+    version = 'draft';
+    locales = options.locales;
+  } else if (options.version) {
+    const { versions } = await getTemplateVersions(key);
+    const match = versions.find(entry => entry.version === options.version);
+    if (!match) {
+      throw new Error(`Version ${options.version} of ${key} does not exist`);
+    }
+    version = match.version;
+    locales = match.locales;
+  } else {
+    ({ version, locales } = getActiveTemplate(key));
+  }
+
+  const params = options.params || TEMPLATES[key].sample;
+  const previewLocales = options.locale ? [normalizeLocale(options.locale) || DEFAULT_LOCALE] : SUPPORTED_LOCALES;
+
+  const rendered = {};
+  previewLocales.forEach(locale => {
+    rendered[locale] = renderLocales(locales, locale, params);
+  });
+
+  return {
+    key,
+    version,
+    params,
+    // Placeholders the event data doesn't provide (they render empty or as their fallback)
+    missingParams: getPlaceholderNames(locales).filter(name => params[name] === undefined || params[name] === null),
+    rendered,
+  };
+};
+
+// Keep the active Firestore versions in memory
+let syncStarted = false;
+const startTemplateSync = () => {
+  if (syncStarted) {
+    return;
+  }
+  syncStarted = true;
+
+  console.log('Starting notification template sync...');
+
+  getFirestore().collection(TEMPLATES_COLLECTION).onSnapshot((snapshot) => {
+    activeOverrides.clear();
+    snapshot.docs.forEach(doc => {
+      const record = doc.data();
+      const stored = record.versions && record.versions[record.activeVersion];
+      if (TEMPLATES[doc.id] && stored) {
+        activeOverrides.set(doc.id, { version: record.activeVersion, locales: stored.locales });
+      }
+    });
+    console.log(`[TEMPLATE] Loaded ${activeOverrides.size} template overrides from Firestore`);
+  }, (error) => {
+    console.error('[TEMPLATE ERROR] Error syncing notification templates, keeping the last known versions:', error);
+  });
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  getUserLocale,
+  getLocaleForUser,
+  renderTemplate,
+  getActiveTemplate,
+  validateTemplateLocales,
+  listTemplates,
+  getTemplateVersions,
+  createTemplateVersion,
+  activateTemplateVersion,
+  previewTemplate,
+  startTemplateSync
+};
@@ -0,0 +1,190 @@
+const admin = require('firebase-admin');
+const { getFirestore } = require('./firebase');
+const { getTransport } = require('./transport');
+
+// Community topics
+// Every active token is subscribed to its user's community_<communityId> topic, so a large
+// announcement can go out as one topic send instead of reading every member's tokens.
+// Tokens are subscribed on /api/tokens/register and unsubscribed on logout. The community
+// a user's tokens are subscribed to is kept in topicCommunityId on their user_tokens document,
+// and a reconciliation job brings existing tokens and users who changed community in line.
+
+// FCM accepts at most 1000 tokens per subscribe or unsubscribe call
+const TOPIC_BATCH_SIZE = 1000;
+// Number of users documents fetched per getAll call
+const USER_READ_BATCH_SIZE = 100;
+const RECONCILE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to split an array into chunks of the given size
+const chunkArray = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Topic name for a community (topic names only allow [a-zA-Z0-9-_.~%])
+const getCommunityTopic = (communityId) =>
+  `community_${String(communityId).replace(/[^a-zA-Z0-9\-_.~%]/g, '_')}`;
+
+// Helper function to get the token strings of a user_tokens tokens array
+const getTokenValues = (tokens = [], { loggedOut } = {}) => tokens
+  .filter(t => t && (typeof t === 'string' || t.token))
+  .filter(t => loggedOut === undefined || (typeof t !== 'string' && t.loggedOut === true) === loggedOut)
+  .map(t => typeof t === 'string' ? t : t.token);
+
+// Helper function to subscribe or unsubscribe tokens in batches
+// Returns { successCount, failureCount }
+const updateSubscriptions = async (action, tokens, communityId) => {
+  const messaging = getTransport();
+  const topic = getCommunityTopic(communityId);
+  const totals = { successCount: 0, failureCount: 0 };
+
+  for (const chunk of chunkArray(tokens, TOPIC_BATCH_SIZE)) {
+    const response = action === 'subscribe' ?
+      await messaging.subscribeToTopic(chunk, topic) :
+      await messaging.unsubscribeFromTopic(chunk, topic);
+    totals.successCount += response.successCount;
+    totals.failureCount += response.failureCount;
+    (response.errors || []).forEach(({ index, error }) => {
+      console.error(`[TOPIC ERROR] Failed to ${action} token ${chunk[index].substring(0, 15)}... for ${topic}: ${error.code || error.message}`);
+    });
+  }
+
+  return totals;
+};
+
+// Subscribe tokens to a community's topic
+const subscribeToCommunityTopic = (tokens, communityId) =>
+  updateSubscriptions('subscribe', tokens, communityId);
+
+// Unsubscribe tokens from a community's topic
+const unsubscribeFromCommunityTopic = (tokens, communityId) =>
+  updateSubscriptions('unsubscribe', tokens, communityId);
+
+// Get the community a user belongs to, or null
+const getUserCommunityId = async (userId) => {
+  const db = getFirestore();
+  const userDoc = await db.collection('users').doc(userId).get();
+  return userDoc.exists ? userDoc.data().communityId || null : null;
+};
+
+// Subscribe a newly registered or refreshed token to its user's community topic
+// userTokens is the user_tokens document before the registration, if there was one
+// Returns the community the token was subscribed to, or null
+const subscribeRegisteredToken = async (userId, token, userTokens = {}) => {
+  const db = getFirestore();
+  const communityId = await getUserCommunityId(userId);
+  const previousCommunityId = userTokens.topicCommunityId || null;
+
+  const moved = communityId !== previousCommunityId;
+
+  // When the user changed community since their tokens were last subscribed, move the
+  // user's other active tokens along with the new one
+  if (communityId) {
+    const tokens = moved ? [token, ...getTokenValues(userTokens.tokens, { loggedOut: false })] : [token];
+    await subscribeToCommunityTopic([...new Set(tokens)], communityId);
+  }
+
+  if (previousCommunityId && moved) {
+    await unsubscribeFromCommunityTopic([...new Set([token, ...getTokenValues(userTokens.tokens)])], previousCommunityId);
+  }
+
+  if (moved) {
+    await db.collection('user_tokens').doc(userId).update({ topicCommunityId: communityId });
+  }
+
+  return communityId;
+};
+
+// Bring every user's token subscriptions in line with their current community
+// Active tokens are subscribed, logged out tokens are unsubscribed, and users who moved
+// are unsubscribed from their previous community's topic
+const reconcileCommunityTopics = async () => {
+  const db = getFirestore();
+  const summary = { users: 0, subscribed: 0, unsubscribed: 0, failed: 0, moved: 0 };
+
+  const tokenDocs = (await db.collection('user_tokens').get()).docs;
+
+  // Current community of every user with a token document
+  const communityByUser = new Map();
+  for (const idChunk of chunkArray(tokenDocs.map(doc => doc.id), USER_READ_BATCH_SIZE)) {
+    const userDocs = await db.getAll(...idChunk.map(id => db.collection('users').doc(id)));
+    userDocs.forEach(userDoc => {
+      communityByUser.set(userDoc.id, userDoc.exists ? userDoc.data().communityId || null : null);
+    });
+  }
+
+  // Group tokens by the topic they should be added to or removed from
+  const toSubscribe = new Map();
+  const toUnsubscribe = new Map();
+  const add = (map, communityId, tokens) => {
+    if (!communityId || tokens.length === 0) return;
+    map.set(communityId, [...(map.get(communityId) || []), ...tokens]);
+  };
+  const movedUsers = [];
+
+  tokenDocs.forEach(doc => {
+    const tokenData = doc.data();
+    const communityId = communityByUser.get(doc.id);
+    const previousCommunityId = tokenData.topicCommunityId || null;
+    summary.users++;
+
+    add(toSubscribe, communityId, getTokenValues(tokenData.tokens, { loggedOut: false }));
+    add(toUnsubscribe, communityId, getTokenValues(tokenData.tokens, { loggedOut: true }));
+
+    if (previousCommunityId !== communityId) {
+      add(toUnsubscribe, previousCommunityId, getTokenValues(tokenData.tokens));
+      movedUsers.push({ userId: doc.id, communityId });
+    }
+  });
+
+  for (const [communityId, tokens] of toSubscribe.entries()) {
+    const result = await subscribeToCommunityTopic(tokens, communityId);
+    summary.subscribed += result.successCount;
+    summary.failed += result.failureCount;
+  }
+  for (const [communityId, tokens] of toUnsubscribe.entries()) {
+    const result = await unsubscribeFromCommunityTopic(tokens, communityId);
+    summary.unsubscribed += result.successCount;
+    summary.failed += result.failureCount;
+  }
+
+  // Remember the community each user's tokens are now subscribed to
+  for (const chunk of chunkArray(movedUsers, 500)) {
+    const batch = db.batch();
+    chunk.forEach(({ userId, communityId }) => {
+      batch.update(db.collection('user_tokens').doc(userId), {
+        topicCommunityId: communityId,
+        topicsReconciledAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+  summary.moved = movedUsers.length;
+
+  console.log(`[TOPIC DEBUG] Reconciled community topics for ${summary.users} users: ${summary.subscribed} subscribed, ${summary.unsubscribed} unsubscribed, ${summary.failed} failed, ${summary.moved} changed community`);
+  return summary;
+};
+
+// Reconcile topic subscriptions on startup and then once a day
+const startTopicReconciliation = () => {
+  const run = () => reconcileCommunityTopics().catch(error => {
+    console.error('[TOPIC ERROR] Error reconciling community topics:', error);
+  });
+  run();
+  setInterval(run, RECONCILE_INTERVAL_MS);
+  console.log('Community topic reconciliation started');
+};
+
+module.exports = {
+  getCommunityTopic,
+  getTokenValues,
+  subscribeToCommunityTopic,
+  unsubscribeFromCommunityTopic,
+  getUserCommunityId,
+  subscribeRegisteredToken,
+  reconcileCommunityTopics,
+  startTopicReconciliation
+};
@@ -0,0 +1,109 @@
+const { getMessaging } = require('./firebase');
+
+// Messaging transport
+// Everything that talks to FCM goes through the transport returned by getTransport():
+//   send(message, dryRun)                -> message ID
+//   sendEach(messages, dryRun)           -> { responses: [{ success, messageId, error }], successCount, failureCount }
+//   subscribeToTopic(tokens, topic)      -> { successCount, failureCount, errors }
+//   unsubscribeFromTopic(tokens, topic)  -> { successCount, failureCount, errors }
+//
+// MESSAGING_TRANSPORT=fcm (the default) uses Firebase Cloud Messaging. MESSAGING_TRANSPORT=memory
+// records messages in memory instead of sending real pushes. Only messaging is faked: the
+// monitors and routes still need a live Firebase project for Firestore and the Realtime Database.
+
+// Firebase Cloud Messaging
+const createFcmTransport = () => ({
+  name: 'fcm',
+  send: (message, dryRun = false) => getMessaging().send(message, dryRun),
+  sendEach: (messages, dryRun = false) => getMessaging().sendEach(messages, dryRun),
+  subscribeToTopic: (tokens, topic) => getMessaging().subscribeToTopic(tokens, topic),
+  unsubscribeFromTopic: (tokens, topic) => getMessaging().unsubscribeFromTopic(tokens, topic),
+});
+
+// In-memory transport that records every message and topic subscription
+// Tokens added with rejectToken() fail the way FCM rejects unregistered tokens
+const createMemoryTransport = () => {
+  const sent = [];
+  const topics = new Map();
+  const rejectedTokens = new Set();
+  let nextId = 1;
+
+  const send = async (message, dryRun = false) => {
+    if (message.token && rejectedTokens.has(message.token)) {
+      const error = new Error('Requested entity was not found.');
+      error.code = 'messaging/registration-token-not-registered';
+      throw error;
+    }
+    const messageId = `projects/memory/messages/${nextId++}`;
+    sent.push({ messageId, message, dryRun, sentAt: new Date().toISOString() });
+    return messageId;
+  };
+
+  const updateTopic = (tokens, topic, subscribe) => {
+    const members = topics.get(topic) || new Set();
+    tokens.forEach(token => subscribe ? members.add(token) : members.delete(token));
+    topics.set(topic, members);
+    return { successCount: tokens.length, failureCount: 0, errors: [] };
+  };
+
+  return {
+    name: 'memory',
+    send,
+    sendEach: async (messages, dryRun = false) => {
+      const responses = [];
+      for (const message of messages) {
+        try {
+          responses.push({ success: true, messageId: await send(message, dryRun) });
+        } catch (error) {
+          responses.push({ success: false, error });
+        }
+      }
+      const successCount = responses.filter(response => response.success).length;
+      return { responses, successCount, failureCount: responses.length - successCount };
+    },
+    subscribeToTopic: async (tokens, topic) => updateTopic(tokens, topic, true),
+    unsubscribeFromTopic: async (tokens, topic) => updateTopic(tokens, topic, false),
+
+    // Inspection helpers for local runs
+    getSentMessages: () => sent.slice(),
+    getTopicTokens: (topic) => [...(topics.get(topic) || [])],
+    rejectToken: (token) => rejectedTokens.add(token),
+    reset: () => {
+      sent.length = 0;
+      topics.clear();
+      rejectedTokens.clear();
+    },
+  };
+};
+
+const TRANSPORTS = {
+  fcm: createFcmTransport,
+  memory: createMemoryTransport,
+};
+
+let transport = null;
+
+// Get the configured transport
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MESSAGING_TRANSPORT || 'fcm';
+    if (!TRANSPORTS[name]) {
+      console.error(`[TRANSPORT ERROR] Unknown MESSAGING_TRANSPORT "${name}", using fcm`);
+    }
+    transport = (TRANSPORTS[name] || TRANSPORTS.fcm)();
+    console.log(`[TRANSPORT] Using ${transport.name} messaging transport`);
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with a test double that implements the interface above
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+module.exports = {
+  createFcmTransport,
+  createMemoryTransport,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,72 @@
+const { getNotificationActions } = require('./actions');
+
+// Web push
+// Browser clients (the admin panel) register FCM tokens with platform 'web'. Every message
+// carries a webpush block next to the android and apns blocks; FCM uses the one that matches
+// the token, so the same message can go to phones and browsers.
+//
+// WEB_APP_URL is the HTTPS origin of the admin panel. Clicking a notification opens the page
+// for the event, e.g. /reports/<reportId>. Without it, clicks focus the panel's service worker
+// client as usual.
+
+const WEB_APP_URL = (process.env.WEB_APP_URL || '').replace(/\/+$/, '');
+const WEB_PUSH_ICON_URL = process.env.WEB_PUSH_ICON_URL || (WEB_APP_URL ? `${WEB_APP_URL}/icons/icon-192.png` : null);
+
+// Web Push "Urgency" header per priority class
+const WEB_URGENCY = {
+  critical: 'high',
+  high: 'high',
+  normal: 'normal',
+  low: 'low',
+};
+
+// Helper function to find the admin panel page for a notification
+const getWebPath = (data = {}) => {
+  if (data.reportId) return `/reports/${data.reportId}`;
+  if (data.itemId) return `/marketplace/${data.itemId}`;
+  if (data.volunteerId || data.postId) return `/volunteer/${data.volunteerId || data.postId}`;
+  if (data.chatId) return `/chats/${data.chatId}`;
+  if (data.noticeId) return `/notices/${data.noticeId}`;
+  return '/notifications';
+};
+
+// Link opened when a web notification is clicked, or null when no web app URL is configured
+const getWebLink = (data = {}) => {
+  // FCM only accepts HTTPS links
+  if (!WEB_APP_URL.startsWith('https://')) {
+    return null;
+  }
+  return `${WEB_APP_URL}${getWebPath(data)}`;
+};
+
+// Build the webpush block of an FCM message
+// delivery comes from priority.getDeliverySettings, imageUrl is a checked picture or null
+const buildWebpushConfig = (title, body, data, delivery, tag, imageUrl = null) => {
+  const link = getWebLink(data);
+  const actions = getNotificationActions(data);
+
+  return {
+    headers: {
+      TTL: String(Math.floor(delivery.ttlMs / 1000)),
+      Urgency: WEB_URGENCY[delivery.priorityClass] || 'normal',
+    },
+    notification: {
+      title,
+      body,
+      ...(WEB_PUSH_ICON_URL && { icon: WEB_PUSH_ICON_URL, badge: WEB_PUSH_ICON_URL }),
+      ...(imageUrl && { image: imageUrl }),
+      // The admin panel's service worker calls the action endpoint when a button is clicked
+      ...(actions.length > 0 && { actions }),
+      tag,
+      // Critical alerts stay on screen until the admin acts on them
+      requireInteraction: delivery.priorityClass === 'critical',
+      timestamp: Date.now(),
+    },
+    ...(link && { fcmOptions: { link } }),
+  };
+};
+
+module.exports = {
+  getWebLink,
+  buildWebpushConfig
+};